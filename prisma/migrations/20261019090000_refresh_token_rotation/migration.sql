@@ -0,0 +1,16 @@
+/*
+  Warnings:
+
+  - Added the required column `familyId` to the `refresh_tokens` table without a default value. This is not possible if the table is not empty.
+
+*/
+-- AlterTable
+ALTER TABLE "refresh_tokens" ADD COLUMN     "familyId" TEXT NOT NULL,
+ADD COLUMN     "replacedBy" TEXT,
+ADD COLUMN     "revokedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_familyId_idx" ON "refresh_tokens"("familyId");
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_userId_isRevoked_idx" ON "refresh_tokens"("userId", "isRevoked");
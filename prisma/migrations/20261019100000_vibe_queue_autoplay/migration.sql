@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "vibe_queue" ADD COLUMN     "isAutoplay" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "vibe_sessions" ADD COLUMN     "autoplay" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "currentQueueId" INTEGER;
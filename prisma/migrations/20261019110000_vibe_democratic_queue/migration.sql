@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "vibe_queue" ADD COLUMN     "score" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "vibe_sessions" ADD COLUMN     "skipThreshold" DOUBLE PRECISION NOT NULL DEFAULT 0.5;
+
+-- CreateTable
+CREATE TABLE "vibe_queue_votes" (
+    "id" SERIAL NOT NULL,
+    "queueItemId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "value" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "vibe_queue_votes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "vibe_skip_votes" (
+    "id" SERIAL NOT NULL,
+    "sessionId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "songId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "vibe_skip_votes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vibe_queue_votes_queueItemId_userId_key" ON "vibe_queue_votes"("queueItemId", "userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vibe_skip_votes_sessionId_userId_key" ON "vibe_skip_votes"("sessionId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "vibe_queue_votes" ADD CONSTRAINT "vibe_queue_votes_queueItemId_fkey" FOREIGN KEY ("queueItemId") REFERENCES "vibe_queue"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "vibe_skip_votes" ADD CONSTRAINT "vibe_skip_votes_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "vibe_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "vibe_messages" (
+    "id" SERIAL NOT NULL,
+    "sessionId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'text',
+    "content" TEXT NOT NULL,
+    "songId" TEXT,
+    "targetMessageId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "deletedAt" TIMESTAMP(3),
+    "deletedBy" INTEGER,
+
+    CONSTRAINT "vibe_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "vibe_messages_sessionId_id_idx" ON "vibe_messages"("sessionId", "id");
+
+-- AddForeignKey
+ALTER TABLE "vibe_messages" ADD CONSTRAINT "vibe_messages_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "vibe_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "vibe_messages" ADD CONSTRAINT "vibe_messages_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "vibe_messages" ADD CONSTRAINT "vibe_messages_targetMessageId_fkey" FOREIGN KEY ("targetMessageId") REFERENCES "vibe_messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "vibe_queue" ADD COLUMN     "endedAt" TIMESTAMP(3),
+ADD COLUMN     "startedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "vibe_queue_sessionId_startedAt_idx" ON "vibe_queue"("sessionId", "startedAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "user_settings" ADD COLUMN     "lastDigestAt" TIMESTAMP(3),
+ADD COLUMN     "weeklyDigestEmail" BOOLEAN NOT NULL DEFAULT true;
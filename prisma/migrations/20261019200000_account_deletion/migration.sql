@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "deletionScheduledAt" TIMESTAMP(3);
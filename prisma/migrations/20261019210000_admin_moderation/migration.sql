@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'user',
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'active',
+ADD COLUMN     "statusReason" TEXT,
+ADD COLUMN     "suspendedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "playlists" ADD COLUMN     "unpublishedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "admin_audit_logs" (
+    "id" SERIAL NOT NULL,
+    "actorId" INTEGER,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT,
+    "targetId" INTEGER,
+    "reason" TEXT,
+    "data" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "admin_audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_actorId_idx" ON "admin_audit_logs"("actorId");
+
+-- CreateIndex
+CREATE INDEX "admin_audit_logs_targetType_targetId_idx" ON "admin_audit_logs"("targetType", "targetId");
+
+-- AddForeignKey
+ALTER TABLE "admin_audit_logs" ADD CONSTRAINT "admin_audit_logs_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
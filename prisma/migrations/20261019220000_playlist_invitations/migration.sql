@@ -0,0 +1,32 @@
+-- Collaborators added before invitations existed joined right away
+UPDATE "playlist_collaborators" SET "acceptedAt" = "invitedAt" WHERE "acceptedAt" IS NULL;
+
+-- CreateTable
+CREATE TABLE "playlist_invite_links" (
+    "id" SERIAL NOT NULL,
+    "playlistId" INTEGER NOT NULL,
+    "code" TEXT NOT NULL,
+    "createdBy" INTEGER NOT NULL,
+    "canEdit" BOOLEAN NOT NULL DEFAULT false,
+    "canAddSongs" BOOLEAN NOT NULL DEFAULT true,
+    "canRemoveSongs" BOOLEAN NOT NULL DEFAULT false,
+    "maxUses" INTEGER,
+    "uses" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "playlist_invite_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "playlist_collaborators_userId_acceptedAt_idx" ON "playlist_collaborators"("userId", "acceptedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "playlist_invite_links_code_key" ON "playlist_invite_links"("code");
+
+-- CreateIndex
+CREATE INDEX "playlist_invite_links_playlistId_idx" ON "playlist_invite_links"("playlistId");
+
+-- AddForeignKey
+ALTER TABLE "playlist_invite_links" ADD CONSTRAINT "playlist_invite_links_playlistId_fkey" FOREIGN KEY ("playlistId") REFERENCES "playlists"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "playlist_changes" (
+    "id" SERIAL NOT NULL,
+    "playlistId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "type" TEXT NOT NULL,
+    "songId" TEXT,
+    "data" JSONB NOT NULL,
+    "undoneAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "playlist_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "playlist_changes_playlistId_createdAt_idx" ON "playlist_changes"("playlistId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "playlist_changes" ADD CONSTRAINT "playlist_changes_playlistId_fkey" FOREIGN KEY ("playlistId") REFERENCES "playlists"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "playlist_changes" ADD CONSTRAINT "playlist_changes_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
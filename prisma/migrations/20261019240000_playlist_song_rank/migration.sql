@@ -0,0 +1,19 @@
+-- AlterTable
+-- Ranks are compared byte by byte, so the column uses the "C" collation
+ALTER TABLE "playlist_songs" ADD COLUMN "rank" TEXT COLLATE "C";
+
+-- Backfill from the current positions: fixed-width keys ending in a
+-- non-zero digit keep the existing order and leave room between songs
+UPDATE "playlist_songs" AS ps
+SET "rank" = lpad(ordered.rn::text, 8, '0') || 'i'
+FROM (
+    SELECT "id", row_number() OVER (PARTITION BY "playlistId" ORDER BY "position", "id") AS rn
+    FROM "playlist_songs"
+) AS ordered
+WHERE ps."id" = ordered."id";
+
+ALTER TABLE "playlist_songs" ALTER COLUMN "rank" SET NOT NULL;
+ALTER TABLE "playlist_songs" DROP COLUMN "position";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "playlist_songs_playlistId_rank_key" ON "playlist_songs"("playlistId", "rank");
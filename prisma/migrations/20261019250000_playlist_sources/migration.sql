@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "playlist_sources" (
+    "id" SERIAL NOT NULL,
+    "playlistId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "externalId" TEXT NOT NULL,
+    "name" TEXT,
+    "songIds" TEXT[],
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "playlist_sources_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "playlist_sources_playlistId_key" ON "playlist_sources"("playlistId");
+
+-- CreateIndex
+CREATE INDEX "playlist_sources_type_externalId_idx" ON "playlist_sources"("type", "externalId");
+
+-- AddForeignKey
+ALTER TABLE "playlist_sources" ADD CONSTRAINT "playlist_sources_playlistId_fkey" FOREIGN KEY ("playlistId") REFERENCES "playlists"("id") ON DELETE CASCADE ON UPDATE CASCADE;
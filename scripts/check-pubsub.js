@@ -0,0 +1,103 @@
+import { createClient } from 'redis';
+import { Server } from 'socket.io';
+import { createRedisPubSub } from '../src/services/pubsub.js';
+import { createPubSubAdapter } from '../src/sockets/adapter.js';
+
+// Exercise the Redis pub/sub driver and the Socket.IO cluster adapter against
+// the server at REDIS_URL, e.g. a throwaway local Redis or any stand-in that
+// speaks the protocol:
+//
+//   REDIS_URL=redis://127.0.0.1:6380 npm run check:pubsub
+//
+// Two drivers with injected clients play two backend instances.
+
+const url = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const TIMEOUT_MS = 5000;
+const RETRY_MS = 200;
+
+function withTimeout(name, promise) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name}: no answer within ${TIMEOUT_MS}ms`)), TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Resolve with the first value `attempt` calls back with, retrying until
+// subscriptions on the other side are in place
+function eventually(name, attempt) {
+  return new Promise((resolve, reject) => {
+    let timer;
+    const deadline = setTimeout(() => {
+      clearInterval(timer);
+      reject(new Error(`${name}: no answer within ${TIMEOUT_MS}ms`));
+    }, TIMEOUT_MS);
+    const done = (value) => {
+      clearTimeout(deadline);
+      clearInterval(timer);
+      resolve(value);
+    };
+    attempt(done);
+    timer = setInterval(() => attempt(done), RETRY_MS);
+  });
+}
+
+function expectEqual(name, actual, expected) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+  console.log(`✅ ${name}`);
+}
+
+async function main() {
+  console.log(`🔌 Checking pub/sub against ${url}`);
+
+  const first = createRedisPubSub({ client: createClient({ url }) });
+  const second = createRedisPubSub({ client: createClient({ url }) });
+  const servers = [];
+
+  try {
+    await withTimeout('connect', Promise.all([first.ready, second.ready]));
+
+    // Driver: a message published by one instance reaches the other
+    const message = { type: 'check', at: Date.now(), nested: { ok: true } };
+    let deliver;
+    const received = new Promise((resolve) => {
+      deliver = resolve;
+    });
+    const unsubscribe = await second.subscribe('pubsub-check', (payload) => deliver(payload));
+    await first.publish('pubsub-check', message);
+    expectEqual('publish reaches another instance', await withTimeout('publish', received), message);
+    await unsubscribe();
+
+    // Adapter: server-side events and their acks travel between instances
+    const [one, two] = [first, second].map((pubsub) => {
+      const adapter = createPubSubAdapter(pubsub, { key: 'pubsub-check', requestsTimeout: RETRY_MS });
+      const io = new Server({ adapter });
+      servers.push(io);
+      return io;
+    });
+    two.on('check', (payload, ack) => ack({ echoed: payload }));
+
+    const responses = await eventually('serverSideEmit', (done) => {
+      one.serverSideEmit('check', { hello: 'world' }, (err, replies) => {
+        if (!err && replies.length > 0) done(replies);
+      });
+    });
+    expectEqual('adapter relays server-side events and acks', responses, [{ echoed: { hello: 'world' } }]);
+  } finally {
+    for (const io of servers) io.of('/').adapter.close();
+    // quit() never settles for a client that could not connect
+    await withTimeout('close', Promise.allSettled([first.close(), second.close()])).catch(() => {});
+  }
+}
+
+main()
+  .then(() => {
+    console.log('🎉 Pub/sub check passed');
+    process.exit(0);
+  })
+  .catch((e) => {
+    console.error('❌ Pub/sub check failed:', e.message);
+    process.exit(1);
+  });
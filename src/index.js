@@ -14,10 +14,38 @@ import discoverRouter from './routers/discover.js';
 import searchRouter from './routers/search.js';
 import saavnRouter from './routers/saavn.js';
 import appRouter from './routers/app.js';
+import notificationsRouter from './routers/notifications.js';
+import adminRouter from './routers/admin.js';
+
+// Socket.IO handlers
+import { authenticateSocket } from './sockets/auth.js';
+import { registerVibeHandlers } from './sockets/vibe.js';
+import { startSyncHeartbeat } from './services/vibeClock.js';
+import { initVibeScheduler, stopVibeScheduler } from './services/vibeScheduler.js';
+import { initPresence, trackConnection, trackDisconnect, stopPresence } from './services/presence.js';
+import { getPubSub, closePubSub } from './services/pubsub.js';
+import { createPubSubAdapter } from './sockets/adapter.js';
+import { subscribeSaavnCacheInvalidation } from './services/saavnService.js';
+import { initNotifications } from './services/notifications.js';
+import { startDigestScheduler, stopDigestScheduler } from './services/weeklyDigest.js';
+import { startAccountPurge, stopAccountPurge } from './services/accountDeletion.js';
+import { closeRateLimitStore } from './services/rateLimit.js';
 
 const app = express();
 const server = createServer(app);
 
+// Behind a load balancer, trust its X-Forwarded-For so rate limits see the
+// real client IP (e.g. TRUST_PROXY=1 for one proxy hop)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    if (/^\d+$/.test(trustProxy)) {
+        app.set('trust proxy', parseInt(trustProxy, 10));
+    } else {
+        // 'true', 'loopback', or a comma-separated list of proxy addresses
+        app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+    }
+}
+
 // Database connection
 const prisma = new PrismaClient();
 
@@ -52,8 +80,16 @@ app.use(cors({
     credentials: true
 }));
 
+// Shared pub/sub so rooms and caches work across several instances
+const pubsub = getPubSub();
+
+subscribeSaavnCacheInvalidation().catch((err) => {
+    console.error('Failed to subscribe to cache invalidation:', err);
+});
+
 // Socket.IO setup for real-time features
 const io = new Server(server, {
+    adapter: createPubSubAdapter(pubsub),
     cors: {
         origin: allowedOrigins,
         methods: ["GET", "POST"],
@@ -61,115 +97,43 @@ const io = new Server(server, {
     }
 });
 
+// Authenticate every socket with the same JWT the REST API uses
+io.use(authenticateSocket);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-    console.log(`✅ User connected: ${socket.id}`);
-
-    // Join vibe session room
-    socket.on('vibe:join', async (data) => {
-        const { sessionId, userId } = data;
-        socket.join(`vibe-${sessionId}`);
-        console.log(`🎵 User ${userId} joined vibe session ${sessionId}`);
-
-        // Notify other participants
-        socket.to(`vibe-${sessionId}`).emit('vibe:participant_joined', {
-            userId,
-            sessionId
-        });
-
-        // Update user online status in database
-        try {
-            await prisma.user.update({
-                where: { id: userId },
-                data: { isOnline: true }
-            });
-        } catch (err) {
-            console.error('Error updating user online status:', err);
-        }
-    });
+    const userId = socket.data.userId;
+    console.log(`✅ User ${userId} connected: ${socket.id}`);
 
-    // Leave vibe session room
-    socket.on('vibe:leave', async (data) => {
-        const { sessionId, userId } = data;
-        socket.leave(`vibe-${sessionId}`);
-        console.log(`🎵 User ${userId} left vibe session ${sessionId}`);
-
-        // Notify other participants
-        socket.to(`vibe-${sessionId}`).emit('vibe:participant_left', {
-            userId,
-            sessionId
-        });
-    });
+    // Online status follows the user's open sockets
+    trackConnection(socket);
 
-    // Play specific song (host control)
-    socket.on('vibe:play_song', (data) => {
-        const { sessionId, songId, songName, artistName, imageUrl, audioUrl } = data;
-        console.log(`🎵 Playing song in session ${sessionId}: ${songName}`);
-
-        // Broadcast to all participants except sender
-        socket.to(`vibe-${sessionId}`).emit('vibe:song_changed', {
-            songId,
-            songName,
-            artistName,
-            imageUrl,
-            audioUrl
-        });
-    });
-
-    // Toggle play/pause
-    socket.on('vibe:toggle_play_pause', (data) => {
-        const { sessionId, isPlaying } = data;
-        console.log(`🎵 Session ${sessionId}: ${isPlaying ? 'Playing' : 'Paused'}`);
-
-        socket.to(`vibe-${sessionId}`).emit('vibe:play_pause', {
-            isPlaying
-        });
-    });
+    registerVibeHandlers(io, socket);
 
-    // Seek to position
-    socket.on('vibe:seek_to', (data) => {
-        const { sessionId, position } = data;
-        console.log(`🎵 Session ${sessionId}: Seek to ${position}ms`);
-
-        socket.to(`vibe-${sessionId}`).emit('vibe:seek', {
-            position
-        });
+    // Handle disconnect
+    socket.on('disconnect', () => {
+        console.log(`❌ User ${userId} disconnected: ${socket.id}`);
+        trackDisconnect(socket);
     });
+});
 
-    // Add song to queue
-    socket.on('vibe:add_to_queue', (data) => {
-        const { sessionId } = data;
-        console.log(`🎵 Song added to queue in session ${sessionId}`);
+// Track online status from socket connections
+initPresence(io);
 
-        // Broadcast queue update to all participants except sender
-        io.to(`vibe-${sessionId}`).emit('vibe:queue_updated', {
-            queue: data
-        });
-    });
+// Deliver notifications live to the user's sockets
+initNotifications(io);
 
-    // Session ended (host ended)
-    socket.on('vibe:end_session', (data) => {
-        const { sessionId } = data;
-        console.log(`🎵 Session ${sessionId} ended`);
+// Push the authoritative playback clock to vibe rooms
+const stopVibeSync = startSyncHeartbeat(io);
 
-        // Notify all participants
-        io.to(`vibe-${sessionId}`).emit('vibe:session_ended');
-    });
+// Advance vibe queues server-side when tracks end
+initVibeScheduler(io);
 
-    // Handle user status updates
-    socket.on('user-online', (userId) => {
-        socket.broadcast.emit('user-status-change', { userId, isOnline: true });
-    });
+// Weekly listening digest emails
+startDigestScheduler();
 
-    socket.on('user-offline', (userId) => {
-        socket.broadcast.emit('user-status-change', { userId, isOnline: false });
-    });
-
-    // Handle disconnect
-    socket.on('disconnect', () => {
-        console.log(`❌ User disconnected: ${socket.id}`);
-    });
-});
+// Delete accounts whose deletion grace period is over
+startAccountPurge();
 
 // Make io available to routers
 app.set('io', io);
@@ -203,6 +167,8 @@ app.use('/api/discover', discoverRouter);
 app.use('/api/search', searchRouter);
 app.use('/api/saavn', saavnRouter);
 app.use('/api/app', appRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/admin', adminRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -217,6 +183,8 @@ app.get('/', (req, res) => {
             analytics: '/api/analytics',
             discover: '/api/discover',
             search: '/api/search',
+            notifications: '/api/notifications',
+            admin: '/api/admin',
             health: '/health'
         }
     });
@@ -239,6 +207,13 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
+    stopVibeSync();
+    stopVibeScheduler();
+    stopPresence();
+    stopDigestScheduler();
+    stopAccountPurge();
+    await closeRateLimitStore();
+    await closePubSub();
     await prisma.$disconnect();
     server.close(() => {
         console.log('Server closed');
@@ -248,6 +223,13 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
+    stopVibeSync();
+    stopVibeScheduler();
+    stopPresence();
+    stopDigestScheduler();
+    stopAccountPurge();
+    await closeRateLimitStore();
+    await closePubSub();
     await prisma.$disconnect();
     server.close(() => {
         console.log('Server closed');
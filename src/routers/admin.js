@@ -0,0 +1,454 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from './user.js';
+import {
+  USER_ROLES,
+  requireRole,
+  outranks,
+  logAdminAction,
+  revokeAccessTokens,
+  clearAccessRevocation
+} from '../services/moderation.js';
+import { revokeAllUserTokens } from '../services/tokenService.js';
+import { endVibeSession } from '../services/vibeScheduler.js';
+import { clearSaavnCache } from '../services/saavnService.js';
+import { getTrendingSearches } from '../services/searchTrends.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const MAX_PAGE_SIZE = 100;
+
+// Every route needs at least a moderator; admin-only routes say so again
+router.use(authenticateToken, requireRole('moderator'));
+
+function pagination(query) {
+  const page = Math.max(parseInt(query.page) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE);
+  return { skip: page * limit, take: limit };
+}
+
+const adminUserSelect = {
+  id: true,
+  fullname: true,
+  email: true,
+  avatar: true,
+  verified: true,
+  role: true,
+  status: true,
+  statusReason: true,
+  suspendedUntil: true,
+  isOnline: true,
+  lastSeen: true,
+  deletionScheduledAt: true,
+  createdAt: true
+};
+
+// Load the user a staff member wants to act on; they must outrank them
+async function findModeratedUser(req, res) {
+  const userId = parseInt(req.params.id);
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, role: true, status: true }
+  });
+
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  if (user.id === req.staff.id || !outranks(req.staff, user)) {
+    res.status(403).json({ error: 'You cannot moderate this user' });
+    return null;
+  }
+  return user;
+}
+
+// Sign a restricted user out everywhere: refresh tokens, access tokens still
+// in their lifetime and open sockets
+async function signOutEverywhere(req, userId) {
+  await revokeAllUserTokens(userId);
+  await revokeAccessTokens(userId).catch((err) => {
+    console.error(`Failed to revoke access tokens of user ${userId}:`, err.message);
+  });
+  req.app.get('io')?.in(`user-${userId}`).disconnectSockets(true);
+}
+
+// List and search users
+router.get('/users', async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+
+    const users = await prisma.user.findMany({
+      where: {
+        ...(q && {
+          OR: [
+            { fullname: { contains: q, mode: 'insensitive' } },
+            { email: { contains: q, mode: 'insensitive' } }
+          ]
+        }),
+        ...(role && { role }),
+        ...(status && { status })
+      },
+      select: adminUserSelect,
+      orderBy: { id: 'desc' },
+      ...pagination(req.query)
+    });
+
+    res.json({ users });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// One user with content counts and the moderation history
+router.get('/users/:id(\\d+)', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const [user, history] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          ...adminUserSelect,
+          _count: {
+            select: { playlists: true, createdVibes: true, followers: true, following: true }
+          }
+        }
+      }),
+      prisma.adminAuditLog.findMany({
+        where: { targetType: 'user', targetId: userId },
+        include: { actor: { select: { id: true, fullname: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: 20
+      })
+    ]);
+
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ user, history });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Change a user's role (admins only)
+router.put('/users/:id(\\d+)/role', requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    const target = await findModeratedUser(req, res);
+    if (!target) return;
+
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: target.id },
+        data: { role },
+        select: adminUserSelect
+      }),
+      logAdminAction(req.staff.id, 'user.role', {
+        targetType: 'user',
+        targetId: target.id,
+        data: { from: target.role, to: role }
+      })
+    ]);
+
+    res.json({ user });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// Suspend a user, for `days` days or until reinstated
+router.post('/users/:id(\\d+)/suspend', async (req, res) => {
+  try {
+    const { reason, days } = req.body;
+    if (days !== undefined && !(Number.isInteger(days) && days > 0)) {
+      return res.status(400).json({ error: 'days must be a positive integer' });
+    }
+
+    const target = await findModeratedUser(req, res);
+    if (!target) return;
+    if (target.status === 'banned') {
+      return res.status(409).json({ error: 'User is banned' });
+    }
+
+    const suspendedUntil = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: target.id },
+        data: { status: 'suspended', statusReason: reason || null, suspendedUntil },
+        select: adminUserSelect
+      }),
+      logAdminAction(req.staff.id, 'user.suspend', {
+        targetType: 'user',
+        targetId: target.id,
+        reason,
+        data: { until: suspendedUntil }
+      })
+    ]);
+
+    await signOutEverywhere(req, target.id);
+    res.json({ user });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+// Ban a user for good (admins only); banned profiles disappear from search
+router.post('/users/:id(\\d+)/ban', requireRole('admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const target = await findModeratedUser(req, res);
+    if (!target) return;
+
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: target.id },
+        data: { status: 'banned', statusReason: reason || null, suspendedUntil: null },
+        select: adminUserSelect
+      }),
+      logAdminAction(req.staff.id, 'user.ban', { targetType: 'user', targetId: target.id, reason })
+    ]);
+
+    await signOutEverywhere(req, target.id);
+    res.json({ user });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to ban user' });
+  }
+});
+
+// Lift a suspension, or a ban (admins only)
+router.post('/users/:id(\\d+)/reinstate', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const target = await findModeratedUser(req, res);
+    if (!target) return;
+    if (target.status === 'active') {
+      return res.status(409).json({ error: 'User is not suspended or banned' });
+    }
+    if (target.status === 'banned' && req.staff.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can lift a ban' });
+    }
+
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: target.id },
+        data: { status: 'active', statusReason: null, suspendedUntil: null },
+        select: adminUserSelect
+      }),
+      logAdminAction(req.staff.id, 'user.reinstate', {
+        targetType: 'user',
+        targetId: target.id,
+        reason,
+        data: { from: target.status }
+      })
+    ]);
+
+    await clearAccessRevocation(target.id).catch((err) => {
+      console.error(`Failed to clear access revocation of user ${target.id}:`, err.message);
+    });
+    res.json({ user });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reinstate user' });
+  }
+});
+
+// List playlists, public ones by default (`unpublished=true` for moderated ones)
+router.get('/playlists', async (req, res) => {
+  try {
+    const { q, unpublished } = req.query;
+
+    const playlists = await prisma.playlist.findMany({
+      where: {
+        ...(unpublished === 'true' ? { unpublishedAt: { not: null } } : { isPublic: true }),
+        ...(q && { name: { contains: q, mode: 'insensitive' } })
+      },
+      include: {
+        _count: { select: { songs: true } },
+        user: {
+          select: { id: true, fullname: true, avatar: true }
+        }
+      },
+      orderBy: { updatedAt: 'desc' },
+      ...pagination(req.query)
+    });
+
+    res.json({ playlists });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch playlists' });
+  }
+});
+
+// Take a playlist out of public view; the owner cannot make it public again
+router.post('/playlists/:id(\\d+)/unpublish', async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      select: { id: true, isPublic: true, unpublishedAt: true }
+    });
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+    if (playlist.unpublishedAt) {
+      return res.status(409).json({ error: 'Playlist is already unpublished' });
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.playlist.update({
+        where: { id: playlistId },
+        data: { isPublic: false, unpublishedAt: new Date() }
+      }),
+      logAdminAction(req.staff.id, 'playlist.unpublish', {
+        targetType: 'playlist',
+        targetId: playlistId,
+        reason,
+        data: { wasPublic: playlist.isPublic }
+      })
+    ]);
+
+    res.json({ playlist: updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to unpublish playlist' });
+  }
+});
+
+// Let the owner publish an unpublished playlist again (it stays private until they do)
+router.post('/playlists/:id(\\d+)/restore', async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      select: { id: true, unpublishedAt: true }
+    });
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+    if (!playlist.unpublishedAt) {
+      return res.status(409).json({ error: 'Playlist is not unpublished' });
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.playlist.update({
+        where: { id: playlistId },
+        data: { unpublishedAt: null }
+      }),
+      logAdminAction(req.staff.id, 'playlist.restore', { targetType: 'playlist', targetId: playlistId, reason })
+    ]);
+
+    res.json({ playlist: updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to restore playlist' });
+  }
+});
+
+// List vibe sessions, active ones unless `active=false`
+router.get('/vibes', async (req, res) => {
+  try {
+    const { q, active } = req.query;
+
+    const sessions = await prisma.vibeSession.findMany({
+      where: {
+        isActive: active !== 'false',
+        ...(q && { name: { contains: q, mode: 'insensitive' } })
+      },
+      include: {
+        creator: {
+          select: { id: true, fullname: true, avatar: true }
+        },
+        _count: {
+          select: { participants: { where: { isActive: true } } }
+        }
+      },
+      orderBy: { startedAt: 'desc' },
+      ...pagination(req.query)
+    });
+
+    res.json({ sessions });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch vibe sessions' });
+  }
+});
+
+// Force-end a vibe session and send everyone in it home
+router.post('/vibes/:id(\\d+)/end', async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    const session = await prisma.vibeSession.findUnique({
+      where: { id: sessionId },
+      select: { id: true, name: true, creatorId: true, isActive: true }
+    });
+    if (!session) return res.status(404).json({ error: 'Vibe session not found' });
+    if (!session.isActive) {
+      return res.status(409).json({ error: 'Vibe session has already ended' });
+    }
+
+    await endVibeSession(sessionId);
+    await logAdminAction(req.staff.id, 'vibe.end', {
+      targetType: 'vibe_session',
+      targetId: sessionId,
+      reason,
+      data: { name: session.name, creatorId: session.creatorId }
+    });
+
+    req.app.get('io')?.to(`vibe-${sessionId}`).emit('vibe:session_ended', { reason: 'moderation' });
+
+    res.json({ message: 'Vibe session ended successfully' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to end vibe session' });
+  }
+});
+
+// Drop every cached Saavn response on all instances (admins only)
+router.post('/cache/saavn/clear', requireRole('admin'), async (req, res) => {
+  try {
+    clearSaavnCache();
+    await logAdminAction(req.staff.id, 'cache.clear', { targetType: 'saavn_cache' });
+    res.json({ message: 'Saavn cache cleared' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to clear Saavn cache' });
+  }
+});
+
+// Same data as GET /api/search/trending
+router.get('/search/trending', async (req, res) => {
+  try {
+    const { limit = 10, timeframe = '7d' } = req.query;
+    const trending = await getTrendingSearches({ limit, timeframe });
+    res.json({ trending, timeframe });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to get trending searches' });
+  }
+});
+
+// Audit log, newest first (admins only)
+router.get('/audit-log', requireRole('admin'), async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId } = req.query;
+
+    const entries = await prisma.adminAuditLog.findMany({
+      where: {
+        ...(actorId && { actorId: parseInt(actorId) }),
+        ...(action && { action }),
+        ...(targetType && { targetType }),
+        ...(targetId && { targetId: parseInt(targetId) })
+      },
+      include: { actor: { select: { id: true, fullname: true, role: true } } },
+      orderBy: { createdAt: 'desc' },
+      ...pagination(req.query)
+    });
+
+    res.json({ entries });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+export default router;
@@ -1,6 +1,12 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from './user.js';
+import {
+  getTotalStats,
+  getTopArtists,
+  getTopSongs,
+  calculateListeningStreaks
+} from '../services/listeningStats.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -109,42 +115,12 @@ router.get('/analytics', authenticateToken, async (req, res) => {
     const daysAgo = new Date();
     daysAgo.setDate(daysAgo.getDate() - parseInt(period));
     
-    // Total listening statistics
-    const totalStats = await prisma.playHistory.aggregate({
-      where: {
-        userId,
-        playedAt: { gte: daysAgo }
-      },
-      _count: { id: true },
-      _sum: { playDuration: true },
-      _avg: { playDuration: true }
-    });
-    
-    // Top artists in the period
-    const topArtists = await prisma.playHistory.groupBy({
-      by: ['artistName'],
-      where: {
-        userId,
-        playedAt: { gte: daysAgo }
-      },
-      _count: { artistName: true },
-      _sum: { playDuration: true },
-      orderBy: { _count: { artistName: 'desc' } },
-      take: 10
-    });
-    
-    // Top songs in the period
-    const topSongs = await prisma.playHistory.groupBy({
-      by: ['songId', 'songName', 'artistName', 'imageUrl'],
-      where: {
-        userId,
-        playedAt: { gte: daysAgo }
-      },
-      _count: { songId: true },
-      _sum: { playDuration: true },
-      orderBy: { _count: { songId: 'desc' } },
-      take: 10
-    });
+    // Totals, top artists and top songs are shared with the weekly digest email
+    const [totalStats, topArtists, topSongs] = await Promise.all([
+      getTotalStats(userId, daysAgo),
+      getTopArtists(userId, daysAgo),
+      getTopSongs(userId, daysAgo)
+    ]);
     
     // Top albums in the period
     const topAlbums = await prisma.playHistory.groupBy({
@@ -204,24 +180,9 @@ router.get('/analytics', authenticateToken, async (req, res) => {
     res.json({
       analytics: {
         period: parseInt(period),
-        totalStats: {
-          totalPlays: totalStats._count.id,
-          totalListeningTime: Math.round((totalStats._sum.playDuration || 0) / 60), // in minutes
-          averagePlayDuration: Math.round(totalStats._avg.playDuration || 0) // in seconds
-        },
-        topArtists: topArtists.map(artist => ({
-          name: artist.artistName,
-          playCount: artist._count.artistName,
-          totalDuration: Math.round((artist._sum.playDuration || 0) / 60)
-        })),
-        topSongs: topSongs.map(song => ({
-          songId: song.songId,
-          name: song.songName,
-          artist: song.artistName,
-          imageUrl: song.imageUrl,
-          playCount: song._count.songId,
-          totalDuration: Math.round((song._sum.playDuration || 0) / 60)
-        })),
+        totalStats,
+        topArtists,
+        topSongs,
         topAlbums: topAlbums.map(album => ({
           name: album.albumName,
           artist: album.artistName,
@@ -251,86 +212,6 @@ router.get('/analytics', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to calculate listening streaks
-async function calculateListeningStreaks(userId, days) {
-  try {
-    const daysAgo = new Date();
-    daysAgo.setDate(daysAgo.getDate() - days);
-    
-    // Get daily activity
-    const dailyPlays = await prisma.$queryRaw`
-      SELECT 
-        DATE(played_at) as date,
-        COUNT(*) as plays
-      FROM play_history 
-      WHERE user_id = ${userId} 
-        AND played_at >= ${daysAgo}
-      GROUP BY DATE(played_at)
-      ORDER BY DATE(played_at) DESC
-    `;
-    
-    let currentStreak = 0;
-    let longestStreak = 0;
-    let tempStreak = 0;
-    let lastDate = null;
-    
-    // Calculate streaks
-    for (const day of dailyPlays) {
-      const currentDate = new Date(day.date);
-      
-      if (lastDate === null) {
-        // First day
-        tempStreak = 1;
-        if (isToday(currentDate) || isYesterday(currentDate)) {
-          currentStreak = 1;
-        }
-      } else {
-        const daysDiff = Math.floor((lastDate - currentDate) / (1000 * 60 * 60 * 24));
-        
-        if (daysDiff === 1) {
-          // Consecutive day
-          tempStreak++;
-          if (currentStreak > 0 || isToday(currentDate) || isYesterday(currentDate)) {
-            currentStreak = tempStreak;
-          }
-        } else {
-          // Streak broken
-          longestStreak = Math.max(longestStreak, tempStreak);
-          tempStreak = 1;
-          if (isToday(currentDate) || isYesterday(currentDate)) {
-            currentStreak = 1;
-          } else {
-            currentStreak = 0;
-          }
-        }
-      }
-      
-      lastDate = currentDate;
-    }
-    
-    longestStreak = Math.max(longestStreak, tempStreak);
-    
-    return {
-      currentStreak,
-      longestStreak
-    };
-  } catch (err) {
-    console.error('Error calculating streaks:', err);
-    return { currentStreak: 0, longestStreak: 0 };
-  }
-}
-
-function isToday(date) {
-  const today = new Date();
-  return date.toDateString() === today.toDateString();
-}
-
-function isYesterday(date) {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return date.toDateString() === yesterday.toDateString();
-}
-
 // Get music discovery insights
 router.get('/discovery', authenticateToken, async (req, res) => {
   try {
@@ -8,6 +8,8 @@ import {
   searchAcrossSaavn,
   clearSaavnCache
 } from '../services/saavnService.js';
+import { authenticateToken } from './user.js';
+import { requireRole, logAdminAction } from '../services/moderation.js';
 
 const router = express.Router();
 
@@ -112,9 +114,15 @@ router.get('/search', async (req, res) => {
   }
 });
 
-router.post('/cache/clear', async (_req, res) => {
-  clearSaavnCache();
-  res.json({ message: 'Saavn cache cleared' });
+// Admins only; same as POST /api/admin/cache/saavn/clear
+router.post('/cache/clear', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    clearSaavnCache();
+    await logAdminAction(req.staff.id, 'cache.clear', { targetType: 'saavn_cache' });
+    res.json({ message: 'Saavn cache cleared' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to clear Saavn cache' });
+  }
 });
 
 export default router;
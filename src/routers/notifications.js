@@ -0,0 +1,105 @@
+import express from 'express';
+import { authenticateToken } from './user.js';
+import {
+  listNotifications,
+  getUnreadCount,
+  markNotificationsRead,
+  deleteNotification
+} from '../services/notifications.js';
+
+const router = express.Router();
+
+// Get notifications (newest first, cursor paginated)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit = 20, unread } = req.query;
+
+    const result = await listNotifications(req.user.userId, {
+      cursor,
+      limit,
+      unreadOnly: unread === 'true'
+    });
+
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Get number of unread notifications
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await getUnreadCount(req.user.userId);
+    res.json({ unreadCount });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch unread count' });
+  }
+});
+
+// Mark several notifications as read ({ ids: [...] })
+router.post('/read', authenticateToken, async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array' });
+    }
+
+    const notificationIds = ids.map(id => parseInt(id));
+    if (!notificationIds.every(Number.isInteger)) {
+      return res.status(400).json({ error: 'Invalid notification id' });
+    }
+
+    const updated = await markNotificationsRead(req.user.userId, notificationIds);
+    res.json({ message: 'Notifications marked as read', updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark all notifications as read
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const updated = await markNotificationsRead(req.user.userId);
+    res.json({ message: 'All notifications marked as read', updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark one notification as read
+router.post('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid notification id' });
+    }
+
+    const updated = await markNotificationsRead(req.user.userId, [id]);
+    res.json({ message: 'Notification marked as read', updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: 'Invalid notification id' });
+    }
+
+    const deleted = await deleteNotification(req.user.userId, id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+});
+
+export default router;
@@ -1,15 +1,55 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from './user.js';
+import { isBlockedBetween } from '../services/blocks.js';
+import { notifyUser, notifyUsers } from '../services/notifications.js';
+import {
+  InviteError,
+  createInviteLink,
+  inviteLinkUrl,
+  inviteLinkProblem,
+  redeemInviteLink
+} from '../services/playlistInvites.js';
+import {
+  HistoryError,
+  songSnapshot,
+  getSongOrder,
+  recordPlaylistChange,
+  listPlaylistChanges,
+  undoPlaylistChange,
+  restorePlaylist
+} from '../services/playlistHistory.js';
+import {
+  SONG_ORDER,
+  PlaylistOrderError,
+  withSongPositions,
+  withRankRetry,
+  songIndex,
+  nextSongRank,
+  rankForIndex,
+  writeSongOrder
+} from '../services/playlistOrder.js';
+import {
+  PlaylistBatchError,
+  getSaavnCollection,
+  addSongsToPlaylist,
+  removeSongsFromPlaylist
+} from '../services/playlistBatch.js';
+import { sourceSelect, importSaavnCollection, syncPlaylistSource } from '../services/playlistImport.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Get all user's playlists
+// Get all user's playlists, including those they collaborate on
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const playlists = await prisma.playlist.findMany({
-      where: { userId: req.user.userId },
+      where: {
+        OR: [
+          { userId: req.user.userId },
+          { collaborators: { some: { userId: req.user.userId, acceptedAt: { not: null } } } }
+        ]
+      },
       include: {
         _count: { select: { songs: true } },
         user: {
@@ -52,6 +92,147 @@ router.get('/public', authenticateToken, async (req, res) => {
   }
 });
 
+// Pending collaborator invitations for the current user
+router.get('/invitations', authenticateToken, async (req, res) => {
+  try {
+    const invitations = await prisma.playlistCollaborator.findMany({
+      where: { userId: req.user.userId, acceptedAt: null },
+      include: {
+        playlist: {
+          select: {
+            id: true,
+            name: true,
+            imageUrl: true,
+            _count: { select: { songs: true } },
+            user: {
+              select: { id: true, fullname: true, avatar: true }
+            }
+          }
+        }
+      },
+      orderBy: { invitedAt: 'desc' }
+    });
+
+    res.json({ invitations });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Accept a collaborator invitation
+router.post('/invitations/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const invitationId = parseInt(req.params.id);
+
+    const invitation = await prisma.playlistCollaborator.findFirst({
+      where: { id: invitationId, userId: req.user.userId, acceptedAt: null },
+      include: { playlist: { select: { id: true, name: true, userId: true } } }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const collaborator = await prisma.playlistCollaborator.update({
+      where: { id: invitationId },
+      data: { acceptedAt: new Date() }
+    });
+
+    await notifyUser(invitation.playlist.userId, {
+      type: 'collaborator_joined',
+      actorId: req.user.userId,
+      data: { playlistId: invitation.playlist.id, playlistName: invitation.playlist.name }
+    });
+
+    res.json({ collaborator });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Decline a collaborator invitation
+router.post('/invitations/:id/decline', authenticateToken, async (req, res) => {
+  try {
+    const invitationId = parseInt(req.params.id);
+
+    const { count } = await prisma.playlistCollaborator.deleteMany({
+      where: { id: invitationId, userId: req.user.userId, acceptedAt: null }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation declined' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to decline invitation' });
+  }
+});
+
+// Preview the playlist behind an invite link
+router.get('/join/:code', authenticateToken, async (req, res) => {
+  try {
+    const link = await prisma.playlistInviteLink.findUnique({
+      where: { code: req.params.code },
+      include: {
+        playlist: {
+          select: {
+            id: true,
+            name: true,
+            description: true,
+            imageUrl: true,
+            _count: { select: { songs: true, collaborators: true } },
+            user: {
+              select: { id: true, fullname: true, avatar: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Invite link not found' });
+    }
+
+    const problem = inviteLinkProblem(link);
+    if (problem) {
+      return res.status(410).json({ error: problem });
+    }
+
+    res.json({
+      playlist: link.playlist,
+      permissions: {
+        canEdit: link.canEdit,
+        canAddSongs: link.canAddSongs,
+        canRemoveSongs: link.canRemoveSongs
+      },
+      expiresAt: link.expiresAt
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch invite link' });
+  }
+});
+
+// Join a playlist through an invite link
+router.post('/join/:code', authenticateToken, async (req, res) => {
+  try {
+    const { collaborator, playlist } = await redeemInviteLink(req.params.code, req.user.userId);
+
+    await notifyUser(playlist.userId, {
+      type: 'collaborator_joined',
+      actorId: req.user.userId,
+      data: { playlistId: playlist.id, playlistName: playlist.name }
+    });
+
+    res.json({ collaborator });
+  } catch (err) {
+    if (err instanceof InviteError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to join playlist' });
+  }
+});
+
 // Create new playlist
 router.post('/', authenticateToken, async (req, res) => {
   try {
@@ -84,6 +265,33 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Copy a Saavn album (`{ albumId }`) or playlist (`{ saavnPlaylistId }`)
+// into a new playlist of your own
+router.post('/import', authenticateToken, async (req, res) => {
+  try {
+    const { albumId, saavnPlaylistId, name, description, isPublic = false } = req.body;
+    
+    if (!albumId === !saavnPlaylistId) {
+      return res.status(400).json({ error: 'Provide either albumId or saavnPlaylistId' });
+    }
+    
+    const { playlist } = await importSaavnCollection(req.user.userId, {
+      albumId,
+      saavnPlaylistId,
+      name,
+      description,
+      isPublic: isPublic === true
+    });
+    
+    res.status(201).json({ playlist: await getPlaylistWithSongs(playlist.id) });
+  } catch (err) {
+    if (err instanceof PlaylistBatchError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to import playlist' });
+  }
+});
+
 // Get specific playlist details
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -98,7 +306,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         where: { id: playlistId },
         include: {
           songs: {
-            orderBy: { position: 'asc' }
+            orderBy: SONG_ORDER
           },
           user: {
             select: { id: true, fullname: true, avatar: true }
@@ -115,6 +323,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
               acceptedAt: true
             }
           },
+          source: { select: sourceSelect },
           _count: { select: { songs: true } }
         }
       });
@@ -148,7 +357,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
     
-    res.json({ playlist });
+    res.json({ playlist: { ...playlist, songs: withSongPositions(playlist.songs) } });
   } catch (err) {
     console.error('Failed to fetch playlist:', err);
     res.status(500).json({ error: 'Failed to fetch playlist' });
@@ -164,29 +373,59 @@ router.put('/:id', authenticateToken, async (req, res) => {
     // Check if user owns the playlist
     const playlist = await prisma.playlist.findUnique({
       where: { id: playlistId },
-      select: { userId: true }
+      select: {
+        userId: true,
+        unpublishedAt: true,
+        name: true,
+        description: true,
+        imageUrl: true,
+        isPublic: true,
+        isCollaborative: true
+      }
     });
     
     if (!playlist || playlist.userId !== req.user.userId) {
       return res.status(403).json({ error: 'Access denied' });
     }
+
+    // Only staff can make a playlist public again after unpublishing it
+    if (isPublic && playlist.unpublishedAt) {
+      return res.status(403).json({ error: 'This playlist was unpublished by a moderator' });
+    }
     
-    const updatedPlaylist = await prisma.playlist.update({
-      where: { id: playlistId },
-      data: {
-        ...(name && { name: name.trim() }),
-        ...(description !== undefined && { description: description?.trim() }),
-        ...(isPublic !== undefined && { isPublic }),
-        ...(isCollaborative !== undefined && { isCollaborative }),
-        ...(imageUrl !== undefined && { imageUrl }),
-        updatedAt: new Date()
-      },
-      include: {
-        _count: { select: { songs: true } },
-        user: {
-          select: { id: true, fullname: true, avatar: true }
+    const updates = {
+      ...(name && { name: name.trim() }),
+      ...(description !== undefined && { description: description?.trim() }),
+      ...(isPublic !== undefined && { isPublic }),
+      ...(isCollaborative !== undefined && { isCollaborative }),
+      ...(imageUrl !== undefined && { imageUrl })
+    };
+    const changed = Object.keys(updates).filter(field => updates[field] !== playlist[field]);
+    
+    const updatedPlaylist = await prisma.$transaction(async (tx) => {
+      const updated = await tx.playlist.update({
+        where: { id: playlistId },
+        data: {
+          ...updates,
+          updatedAt: new Date()
+        },
+        include: {
+          _count: { select: { songs: true } },
+          user: {
+            select: { id: true, fullname: true, avatar: true }
+          }
         }
+      });
+
+      if (changed.length > 0) {
+        await recordPlaylistChange(playlistId, req.user.userId, 'metadata_updated', {
+          data: {
+            before: Object.fromEntries(changed.map(field => [field, playlist[field]])),
+            after: Object.fromEntries(changed.map(field => [field, updates[field]]))
+          }
+        }, tx);
       }
+      return updated;
     });
     
     res.json({ playlist: updatedPlaylist });
@@ -235,7 +474,7 @@ router.post('/:id/songs', authenticateToken, async (req, res) => {
       where: { id: playlistId },
       include: {
         collaborators: {
-          where: { userId: req.user.userId }
+          where: { userId: req.user.userId, acceptedAt: { not: null } }
         }
       }
     });
@@ -265,31 +504,214 @@ router.post('/:id/songs', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Song already in playlist' });
     }
     
-    // Get next position
-    const lastSong = await prisma.playlistSong.findFirst({
-      where: { playlistId },
-      orderBy: { position: 'desc' }
+    // Append after the current last song
+    const playlistSong = await withRankRetry(() => prisma.$transaction(async (tx) => {
+      const created = await tx.playlistSong.create({
+        data: {
+          playlistId,
+          songId,
+          songName,
+          artistName,
+          albumName,
+          imageUrl,
+          duration,
+          rank: await nextSongRank(tx, playlistId),
+          addedBy: req.user.userId
+        }
+      });
+
+      const index = await songIndex(tx, playlistId, created.rank);
+      await recordPlaylistChange(playlistId, req.user.userId, 'song_added', {
+        songId,
+        data: { song: songSnapshot(created), index }
+      }, tx);
+      return { ...created, position: index + 1 };
+    }));
+    
+    // Let the owner and the other collaborators of a shared playlist know
+    const collaborators = await prisma.playlistCollaborator.findMany({
+      where: { playlistId, acceptedAt: { not: null } },
+      select: { userId: true }
     });
+    if (collaborators.length > 0) {
+      await notifyUsers([playlist.userId, ...collaborators.map(c => c.userId)], {
+        type: 'playlist_song_added',
+        actorId: req.user.userId,
+        data: { playlistId, playlistName: playlist.name, songId, songName, artistName }
+      });
+    }
     
-    const position = (lastSong?.position || 0) + 1;
+    res.json({ playlistSong });
+  } catch (err) {
+    if (err.code === 'P2002') {
+      return res.status(400).json({ error: 'Song already in playlist' });
+    }
+    res.status(500).json({ error: 'Failed to add song to playlist' });
+  }
+});
+
+// Add many songs at once: `{ songs }`, or every track of a Saavn album
+// (`{ albumId }`) or playlist (`{ saavnPlaylistId }`). Duplicates and invalid
+// items are reported per item instead of failing the whole request.
+router.post('/:id/songs/batch', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const { songs, albumId, saavnPlaylistId } = req.body;
     
-    const playlistSong = await prisma.playlistSong.create({
-      data: {
-        playlistId,
-        songId,
-        songName,
-        artistName,
-        albumName,
-        imageUrl,
-        duration,
-        position,
-        addedBy: req.user.userId
+    const sources = [songs, albumId, saavnPlaylistId].filter(source => source !== undefined);
+    if (sources.length !== 1 || (songs !== undefined && !Array.isArray(songs))) {
+      return res.status(400).json({ error: 'Provide exactly one of songs, albumId or saavnPlaylistId' });
+    }
+    
+    // Permissions are checked once for the whole batch
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      include: {
+        collaborators: {
+          where: { userId: req.user.userId, acceptedAt: { not: null } }
+        }
       }
     });
     
-    res.json({ playlistSong });
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    const canAddSongs = playlist.userId === req.user.userId ||
+                       playlist.collaborators.some(c => c.canAddSongs);
+    
+    if (!canAddSongs) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+    
+    const items = songs ?? (await getSaavnCollection({ albumId, saavnPlaylistId })).songs;
+    const { results, added } = await addSongsToPlaylist(playlistId, req.user.userId, items);
+    
+    if (added.length > 0) {
+      const collaborators = await prisma.playlistCollaborator.findMany({
+        where: { playlistId, acceptedAt: { not: null } },
+        select: { userId: true }
+      });
+      if (collaborators.length > 0) {
+        const [first] = added;
+        await notifyUsers([playlist.userId, ...collaborators.map(c => c.userId)], {
+          type: 'playlist_song_added',
+          actorId: req.user.userId,
+          data: {
+            playlistId,
+            playlistName: playlist.name,
+            songId: first.songId,
+            songName: first.songName,
+            artistName: first.artistName,
+            songCount: added.length
+          }
+        });
+      }
+    }
+    
+    const count = (status) => results.filter(result => result.status === status).length;
+    res.json({
+      added: added.length,
+      duplicates: count('duplicate'),
+      invalid: count('invalid'),
+      results
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to add song to playlist' });
+    if (err instanceof PlaylistBatchError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'The playlist changed while adding songs, please try again' });
+    }
+    res.status(500).json({ error: 'Failed to add songs to playlist' });
+  }
+});
+
+// Pull in tracks added to the imported album or playlist since the last sync
+router.post('/:id/sync', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      include: {
+        collaborators: {
+          where: { userId: req.user.userId, acceptedAt: { not: null } }
+        }
+      }
+    });
+    
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    const canAddSongs = playlist.userId === req.user.userId ||
+                       playlist.collaborators.some(c => c.canAddSongs);
+    
+    if (!canAddSongs) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+    
+    const { source, results, added } = await syncPlaylistSource(playlistId, req.user.userId);
+    
+    res.json({
+      source,
+      added: added.length,
+      duplicates: results.filter(result => result.status === 'duplicate').length,
+      results
+    });
+  } catch (err) {
+    if (err instanceof PlaylistBatchError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'The playlist changed while syncing, please try again' });
+    }
+    res.status(500).json({ error: 'Failed to sync playlist' });
+  }
+});
+
+// Remove many songs at once (`{ songIds }`)
+router.delete('/:id/songs/batch', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const { songIds } = req.body;
+    
+    if (!Array.isArray(songIds) || songIds.length === 0 || songIds.some(id => typeof id !== 'string' || !id)) {
+      return res.status(400).json({ error: 'songIds must be a non-empty array of song ids' });
+    }
+    
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      include: {
+        collaborators: {
+          where: { userId: req.user.userId, acceptedAt: { not: null } }
+        }
+      }
+    });
+    
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    const canRemoveSongs = playlist.userId === req.user.userId ||
+                          playlist.collaborators.some(c => c.canRemoveSongs);
+    
+    if (!canRemoveSongs) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+    
+    const results = await removeSongsFromPlaylist(playlistId, req.user.userId, songIds);
+    
+    res.json({
+      removed: results.filter(result => result.status === 'removed').length,
+      results
+    });
+  } catch (err) {
+    if (err instanceof PlaylistBatchError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to remove songs from playlist' });
   }
 });
 
@@ -304,7 +726,7 @@ router.delete('/:id/songs/:songId', authenticateToken, async (req, res) => {
       where: { id: playlistId },
       include: {
         collaborators: {
-          where: { userId: req.user.userId }
+          where: { userId: req.user.userId, acceptedAt: { not: null } }
         }
       }
     });
@@ -320,44 +742,48 @@ router.delete('/:id/songs/:songId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Permission denied' });
     }
     
-    await prisma.playlistSong.delete({
-      where: {
-        playlistId_songId: {
-          playlistId,
-          songId
+    // The other songs keep their ranks, so nothing needs renumbering
+    await prisma.$transaction(async (tx) => {
+      const removed = await tx.playlistSong.delete({
+        where: {
+          playlistId_songId: {
+            playlistId,
+            songId
+          }
         }
-      }
+      });
+
+      await recordPlaylistChange(playlistId, req.user.userId, 'song_removed', {
+        songId,
+        data: { song: songSnapshot(removed), index: await songIndex(tx, playlistId, removed.rank) }
+      }, tx);
     });
     
-    // Reorder remaining songs
-    await prisma.$executeRaw`
-      UPDATE playlist_songs 
-      SET position = position - 1 
-      WHERE playlist_id = ${playlistId} 
-      AND position > (
-        SELECT position FROM playlist_songs 
-        WHERE playlist_id = ${playlistId} AND song_id = ${songId}
-      )
-    `;
-    
     res.json({ message: 'Song removed from playlist' });
   } catch (err) {
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Song not found in playlist' });
+    }
     res.status(500).json({ error: 'Failed to remove song from playlist' });
   }
 });
 
-// Reorder songs in playlist
+// Move one song to `newPosition` (1-based). Only the moved song is written.
 router.put('/:id/songs/reorder', authenticateToken, async (req, res) => {
   try {
     const playlistId = parseInt(req.params.id);
     const { songId, newPosition } = req.body;
     
+    if (!songId || !Number.isInteger(newPosition) || newPosition < 1) {
+      return res.status(400).json({ error: 'songId and a positive integer newPosition are required' });
+    }
+    
     // Check if user has edit permission
     const playlist = await prisma.playlist.findUnique({
       where: { id: playlistId },
       include: {
         collaborators: {
-          where: { userId: req.user.userId }
+          where: { userId: req.user.userId, acceptedAt: { not: null } }
         }
       }
     });
@@ -373,75 +799,255 @@ router.put('/:id/songs/reorder', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Permission denied' });
     }
     
-    // Get current song
-    const song = await prisma.playlistSong.findUnique({
-      where: {
-        playlistId_songId: {
-          playlistId,
-          songId
+    const moved = await withRankRetry(() => prisma.$transaction(async (tx) => {
+      const song = await tx.playlistSong.findUnique({
+        where: {
+          playlistId_songId: {
+            playlistId,
+            songId
+          }
         }
-      }
-    });
+      });
+      if (!song) return null;
+
+      const count = await tx.playlistSong.count({ where: { playlistId } });
+      const fromIndex = await songIndex(tx, playlistId, song.rank);
+      const toIndex = Math.min(newPosition, count) - 1;
+      if (toIndex === fromIndex) return song;
+
+      const updated = await tx.playlistSong.update({
+        where: { id: song.id },
+        data: { rank: await rankForIndex(tx, playlistId, songId, toIndex) }
+      });
+
+      await recordPlaylistChange(playlistId, req.user.userId, 'song_moved', {
+        songId,
+        data: { songId, fromIndex, toIndex }
+      }, tx);
+      return updated;
+    }));
     
-    if (!song) {
+    if (!moved) {
       return res.status(404).json({ error: 'Song not found in playlist' });
     }
     
-    const oldPosition = song.position;
+    res.json({ message: 'Song reordered successfully' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reorder songs' });
+  }
+});
+
+// Replace the whole order at once. `songIds` must list every song in the
+// playlist exactly once; songs that keep their relative order are not written.
+router.put('/:id/songs/order', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const { songIds } = req.body;
     
-    // Update positions
-    if (newPosition > oldPosition) {
-      // Moving down
-      await prisma.playlistSong.updateMany({
-        where: {
-          playlistId,
-          position: {
-            gt: oldPosition,
-            lte: newPosition
-          }
-        },
-        data: {
-          position: {
-            decrement: 1
-          }
-        }
-      });
-    } else {
-      // Moving up
-      await prisma.playlistSong.updateMany({
-        where: {
-          playlistId,
-          position: {
-            gte: newPosition,
-            lt: oldPosition
-          }
-        },
-        data: {
-          position: {
-            increment: 1
-          }
-        }
-      });
+    if (!Array.isArray(songIds) || songIds.some(id => typeof id !== 'string' || !id)) {
+      return res.status(400).json({ error: 'songIds must be an array of song ids' });
+    }
+    if (new Set(songIds).size !== songIds.length) {
+      return res.status(400).json({ error: 'songIds must not contain duplicates' });
     }
     
-    // Update the moved song
-    await prisma.playlistSong.update({
-      where: {
-        playlistId_songId: {
-          playlistId,
-          songId
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      include: {
+        collaborators: {
+          where: { userId: req.user.userId, acceptedAt: { not: null } }
         }
-      },
-      data: { position: newPosition }
+      }
     });
     
-    res.json({ message: 'Song reordered successfully' });
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    
+    const canEdit = playlist.userId === req.user.userId ||
+                   playlist.collaborators.some(c => c.canEdit);
+    
+    if (!canEdit) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+    
+    await withRankRetry(() => prisma.$transaction(async (tx) => {
+      const before = await getSongOrder(playlistId, tx);
+      const listed = new Set(songIds);
+      
+      // Songs added or removed since the client loaded the playlist
+      if (before.length !== songIds.length || !before.every(id => listed.has(id))) {
+        throw new PlaylistOrderError('songIds must match the songs currently in the playlist', 409);
+      }
+      if (before.every((id, index) => id === songIds[index])) return;
+      
+      await writeSongOrder(tx, playlistId, songIds);
+      await recordPlaylistChange(playlistId, req.user.userId, 'songs_reordered', {
+        data: { before, after: songIds }
+      }, tx);
+    }));
+    
+    res.json({ playlist: await getPlaylistWithSongs(playlistId) });
   } catch (err) {
+    if (err instanceof PlaylistOrderError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     res.status(500).json({ error: 'Failed to reorder songs' });
   }
 });
 
-// Add collaborator to playlist
+// Collaborator permission needed to undo each kind of change; everything
+// else (metadata, restores) can only be undone by the owner
+const UNDO_PERMISSIONS = {
+  song_added: 'canRemoveSongs',
+  song_removed: 'canAddSongs',
+  songs_added: 'canRemoveSongs',
+  songs_removed: 'canAddSongs',
+  song_moved: 'canEdit',
+  songs_reordered: 'canEdit'
+};
+
+async function getPlaylistWithSongs(playlistId) {
+  const playlist = await prisma.playlist.findUnique({
+    where: { id: playlistId },
+    include: {
+      songs: {
+        orderBy: SONG_ORDER
+      },
+      source: { select: sourceSelect },
+      _count: { select: { songs: true } }
+    }
+  });
+  return playlist && { ...playlist, songs: withSongPositions(playlist.songs) };
+}
+
+// Change history of a playlist (owner and collaborators)
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const { cursor, limit } = req.query;
+
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      include: {
+        collaborators: {
+          where: { userId: req.user.userId, acceptedAt: { not: null } }
+        }
+      }
+    });
+
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    if (playlist.userId !== req.user.userId && playlist.collaborators.length === 0) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(await listPlaylistChanges(playlistId, { cursor, limit }));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch playlist history' });
+  }
+});
+
+// Undo a single change
+router.post('/:id/history/:changeId/undo', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const changeId = parseInt(req.params.changeId);
+
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      include: {
+        collaborators: {
+          where: { userId: req.user.userId, acceptedAt: { not: null } }
+        }
+      }
+    });
+
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const change = await prisma.playlistChange.findFirst({
+      where: { id: changeId, playlistId },
+      select: { type: true }
+    });
+
+    if (!change) {
+      return res.status(404).json({ error: 'Change not found' });
+    }
+
+    const permission = UNDO_PERMISSIONS[change.type];
+    const canUndo = playlist.userId === req.user.userId ||
+                   (permission && playlist.collaborators.some(c => c[permission]));
+
+    if (!canUndo) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const undo = await undoPlaylistChange(playlistId, changeId, req.user.userId);
+
+    res.json({ change: undo, playlist: await getPlaylistWithSongs(playlistId) });
+  } catch (err) {
+    if (err instanceof HistoryError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to undo change' });
+  }
+});
+
+// Restore the playlist to how it was right after change `changeId`, or at
+// time `at` (owner only)
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const { changeId, at } = req.body;
+
+    if ((changeId === undefined) === (at === undefined)) {
+      return res.status(400).json({ error: 'Provide either changeId or at' });
+    }
+
+    const restoreAt = at !== undefined ? new Date(at) : null;
+    if (restoreAt && (isNaN(restoreAt.getTime()) || restoreAt > new Date())) {
+      return res.status(400).json({ error: 'at must be a date in the past' });
+    }
+
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      select: { userId: true }
+    });
+
+    if (!playlist || playlist.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (changeId !== undefined) {
+      const change = await prisma.playlistChange.findFirst({
+        where: { id: parseInt(changeId), playlistId },
+        select: { id: true }
+      });
+      if (!change) {
+        return res.status(404).json({ error: 'Change not found' });
+      }
+    }
+
+    const restored = await restorePlaylist(
+      playlistId,
+      restoreAt ? { at: restoreAt } : { changeId: parseInt(changeId) },
+      req.user.userId
+    );
+
+    res.json({ change: restored, playlist: await getPlaylistWithSongs(playlistId) });
+  } catch (err) {
+    if (err instanceof HistoryError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to restore playlist' });
+  }
+});
+
+// Invite a collaborator; they join once they accept
 router.post('/:id/collaborators', authenticateToken, async (req, res) => {
   try {
     const playlistId = parseInt(req.params.id);
@@ -450,7 +1056,7 @@ router.post('/:id/collaborators', authenticateToken, async (req, res) => {
     // Check if user owns the playlist
     const playlist = await prisma.playlist.findUnique({
       where: { id: playlistId },
-      select: { userId: true, isCollaborative: true }
+      select: { userId: true, name: true, isCollaborative: true }
     });
     
     if (!playlist || playlist.userId !== req.user.userId) {
@@ -462,36 +1068,42 @@ router.post('/:id/collaborators', authenticateToken, async (req, res) => {
     }
     
     // Check if user exists
-    const userExists = await prisma.user.findUnique({
+    const invitee = await prisma.user.findUnique({
       where: { id: userId },
-      select: { id: true }
+      select: { id: true, fullname: true, avatar: true }
     });
     
-    if (!userExists) {
+    if (!invitee) {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    if (await isBlockedBetween(req.user.userId, invitee.id)) {
+      return res.status(403).json({ error: 'Cannot add this user as a collaborator' });
+    }
+    
+    // PlaylistCollaborator has no user relation, so the user is attached here
     const collaborator = await prisma.playlistCollaborator.create({
       data: {
         playlistId,
-        userId,
+        userId: invitee.id,
         canEdit,
         canAddSongs,
         canRemoveSongs
-      },
-      include: {
-        user: {
-          select: { id: true, fullname: true, avatar: true }
-        }
       }
     });
     
-    res.json({ collaborator });
+    await notifyUser(collaborator.userId, {
+      type: 'collaborator_invite',
+      actorId: req.user.userId,
+      data: { playlistId, playlistName: playlist.name, invitationId: collaborator.id }
+    });
+    
+    res.json({ collaborator: { ...collaborator, user: invitee } });
   } catch (err) {
     if (err.code === 'P2002') {
-      return res.status(400).json({ error: 'User is already a collaborator' });
+      return res.status(400).json({ error: 'User is already a collaborator or invited' });
     }
-    res.status(500).json({ error: 'Failed to add collaborator' });
+    res.status(500).json({ error: 'Failed to invite collaborator' });
   }
 });
 
@@ -523,21 +1135,25 @@ router.put('/:id/collaborators/:userId', authenticateToken, async (req, res) =>
         ...(canEdit !== undefined && { canEdit }),
         ...(canAddSongs !== undefined && { canAddSongs }),
         ...(canRemoveSongs !== undefined && { canRemoveSongs })
-      },
-      include: {
-        user: {
-          select: { id: true, fullname: true, avatar: true }
-        }
       }
     });
     
-    res.json({ collaborator });
+    const user = await prisma.user.findUnique({
+      where: { id: collaborator.userId },
+      select: { id: true, fullname: true, avatar: true }
+    });
+    
+    res.json({ collaborator: { ...collaborator, user } });
   } catch (err) {
+    if (err.code === 'P2025') {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
     res.status(500).json({ error: 'Failed to update collaborator permissions' });
   }
 });
 
-// Remove collaborator from playlist
+// Remove collaborator from playlist (or cancel their invitation). Collaborators
+// can remove themselves to leave the playlist.
 router.delete('/:id/collaborators/:userId', authenticateToken, async (req, res) => {
   try {
     const playlistId = parseInt(req.params.id);
@@ -549,7 +1165,7 @@ router.delete('/:id/collaborators/:userId', authenticateToken, async (req, res)
       select: { userId: true }
     });
     
-    if (!playlist || playlist.userId !== req.user.userId) {
+    if (!playlist || (playlist.userId !== req.user.userId && collaboratorUserId !== req.user.userId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
@@ -568,6 +1184,107 @@ router.delete('/:id/collaborators/:userId', authenticateToken, async (req, res)
   }
 });
 
+// Create a shareable invite link (owner only)
+router.post('/:id/invite-links', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const { canEdit = false, canAddSongs = true, canRemoveSongs = false, expiresInHours, maxUses } = req.body;
+
+    if (expiresInHours !== undefined && !(Number.isInteger(expiresInHours) && expiresInHours > 0)) {
+      return res.status(400).json({ error: 'expiresInHours must be a positive integer' });
+    }
+    if (maxUses !== undefined && !(Number.isInteger(maxUses) && maxUses > 0)) {
+      return res.status(400).json({ error: 'maxUses must be a positive integer' });
+    }
+
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      select: { userId: true, isCollaborative: true }
+    });
+
+    if (!playlist || playlist.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!playlist.isCollaborative) {
+      return res.status(400).json({ error: 'Playlist is not collaborative' });
+    }
+
+    const link = await createInviteLink(playlistId, req.user.userId, {
+      canEdit,
+      canAddSongs,
+      canRemoveSongs,
+      expiresInHours,
+      maxUses
+    });
+
+    res.status(201).json({ link: { ...link, url: inviteLinkUrl(link.code) } });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create invite link' });
+  }
+});
+
+// List the invite links of a playlist (owner only)
+router.get('/:id/invite-links', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      select: { userId: true }
+    });
+
+    if (!playlist || playlist.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const links = await prisma.playlistInviteLink.findMany({
+      where: { playlistId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      links: links.map(link => ({
+        ...link,
+        url: inviteLinkUrl(link.code),
+        isValid: !inviteLinkProblem(link)
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch invite links' });
+  }
+});
+
+// Revoke an invite link (owner only); people who already joined stay
+router.delete('/:id/invite-links/:linkId', authenticateToken, async (req, res) => {
+  try {
+    const playlistId = parseInt(req.params.id);
+    const linkId = parseInt(req.params.linkId);
+
+    const playlist = await prisma.playlist.findUnique({
+      where: { id: playlistId },
+      select: { userId: true }
+    });
+
+    if (!playlist || playlist.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { count } = await prisma.playlistInviteLink.updateMany({
+      where: { id: linkId, playlistId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Invite link not found' });
+    }
+
+    res.json({ message: 'Invite link revoked' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to revoke invite link' });
+  }
+});
+
 // Search playlists
 router.get('/search/:query', authenticateToken, async (req, res) => {
   try {
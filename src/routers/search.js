@@ -1,43 +1,18 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import jwt from 'jsonwebtoken';
+import { authenticateToken } from './user.js';
 import { searchAcrossSaavn } from '../services/saavnService.js';
+import { rateLimit } from '../services/rateLimit.js';
+import { getTrendingSearches } from '../services/searchTrends.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key_change_in_production';
-
-// Middleware to authenticate JWT token
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ error: 'Access token is required' });
-  }
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      if (err.name === 'TokenExpiredError') {
-        return res.status(401).json({ error: 'Access token has expired' });
-      } else if (err.name === 'JsonWebTokenError') {
-        return res.status(403).json({ error: 'Invalid access token' });
-      }
-      return res.status(403).json({ error: 'Token verification failed' });
-    }
-
-    if (decoded.type !== 'access') {
-      return res.status(403).json({ error: 'Invalid token type' });
-    }
-
-    req.user = decoded;
-    next();
-  });
-}
+// Every global search stores a SearchHistory row, so cap it per user
+const searchLimiter = rateLimit({ name: 'search', max: 30, windowMs: 60 * 1000, by: 'user' });
 
 // Global search endpoint - combines JioSaavn API and user library
-router.get('/global', authenticateToken, async (req, res) => {
+router.get('/global', authenticateToken, searchLimiter, async (req, res) => {
   try {
     const { q, type = 'all', page = 0, limit = 20 } = req.query;
     
@@ -416,46 +391,11 @@ router.delete('/history', authenticateToken, async (req, res) => {
 router.get('/trending', async (req, res) => {
   try {
     const { limit = 10, timeframe = '7d' } = req.query;
-    
-    let timeFilter;
-    switch (timeframe) {
-      case '1d':
-        timeFilter = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        break;
-      case '7d':
-        timeFilter = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        timeFilter = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        timeFilter = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    }
-
-    const trending = await prisma.searchHistory.groupBy({
-      by: ['query'],
-      where: {
-        searchedAt: {
-          gte: timeFilter
-        }
-      },
-      _count: {
-        query: true
-      },
-      orderBy: {
-        _count: {
-          query: 'desc'
-        }
-      },
-      take: parseInt(limit)
-    });
+    const trending = await getTrendingSearches({ limit, timeframe });
 
     res.json({
       success: true,
-      trending: trending.map(item => ({
-        query: item.query,
-        count: item._count.query
-      }))
+      trending
     });
 
   } catch (error) {
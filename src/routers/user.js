@@ -2,22 +2,100 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import {
+  JWT_SECRET,
+  TokenError,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  getRefreshTokenFamily
+} from '../services/tokenService.js';
+import { isUserOnline } from '../services/presence.js';
+import { getActivityFeed, decodeFeedCursor } from '../services/activityFeed.js';
+import { resolveProfileVisibility } from '../services/profileVisibility.js';
+import { isBlockedBetween, getBlockedUserIds, blockUser } from '../services/blocks.js';
+import { notifyUser } from '../services/notifications.js';
+import { PROVIDERS, providerForPlatform } from '../services/pushProviders.js';
+import { unsubscribe, sendVerificationEmail, sendPasswordResetEmail } from '../services/email.js';
+import {
+  ACCOUNT_TOKEN_TTL,
+  createAccountToken,
+  consumeAccountToken,
+  revokeAccountTokens
+} from '../services/accountTokens.js';
+import { OAuthError, verifyIdToken, getOidcProviders } from '../services/oidc.js';
+import { collectAccountData, createCsvArchive } from '../services/accountExport.js';
+import { scheduleAccountDeletion, cancelAccountDeletion } from '../services/accountDeletion.js';
+import { rateLimit } from '../services/rateLimit.js';
+import { getLoginLockout, recordLoginFailure, clearLoginFailures } from '../services/loginLockout.js';
+import { getAccountRestriction, restrictionResponse, isAccessRevoked } from '../services/moderation.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key_change_in_production';
-const ACCESS_TOKEN_EXPIRY = '7d'; // Single long-lived access token (no refresh tokens)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_LANGUAGE = 'telugu';
+
+// Per-IP limits for the unauthenticated endpoints
+const loginLimiter = rateLimit({ name: 'login', max: 10, windowMs: 60 * 1000 });
+const registerLimiter = rateLimit({ name: 'register', max: 5, windowMs: 60 * 60 * 1000 });
+const existsLimiter = rateLimit({ name: 'exists', max: 10, windowMs: 60 * 1000 });
+const passwordForgotLimiter = rateLimit({ name: 'password_forgot', max: 5, windowMs: 60 * 60 * 1000 });
+const accountTokenLimiter = rateLimit({ name: 'account_token', max: 10, windowMs: 15 * 60 * 1000 });
+
+// User fields returned together with a new session (login, OAuth sign-in)
+const sessionUserSelect = {
+  id: true,
+  fullname: true,
+  email: true,
+  password: true,
+  verified: true,
+  role: true,
+  status: true,
+  statusReason: true,
+  suspendedUntil: true,
+  bio: true,
+  mobile: true,
+  language: true,
+  avatar: true,
+  isOnline: true,
+  lastSeen: true,
+  deletionScheduledAt: true,
+  createdAt: true
+};
+
+// Strip the password hash and moderation details from a sessionUserSelect row
+function toSessionUser({ password, status, statusReason, suspendedUntil, ...user }) {
+  return user;
+}
+
+// Mail a fresh verification link (earlier links stop working)
+async function startEmailVerification(user) {
+  const token = await createAccountToken(user.id, 'email_verification');
+  await sendVerificationEmail(user, token);
+}
 
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, async (req, res) => {
   const { fullname, email, password, bio, mobile , language} = req.body;
   if (!fullname || !email || !password || !language) return res.status(400).json({ error: 'Missing required fields' });
+  if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ error: 'Invalid email address' });
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
   try {
     const hashedPassword = await bcrypt.hash(password, 10);
     const user = await prisma.user.create({
       data: { fullname, email, password: hashedPassword, bio, mobile , language}
     });
+
+    // Not awaited: registration should not wait for the mail server
+    startEmailVerification(user).catch((err) => {
+      console.error(`Failed to send verification email to user ${user.id}:`, err);
+    });
+
     res.json({ user });
   } catch (err) {
     res.status(400).json({ error: 'Email already exists' });
@@ -25,7 +103,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -33,56 +111,48 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    const lockedMs = await getLoginLockout(email, req.ip);
+    if (lockedMs > 0) {
+      res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+      return res.status(429).json({ error: 'Too many failed login attempts, please try again later' });
+    }
+
     const user = await prisma.user.findUnique({ 
       where: { email },
-      select: {
-        id: true,
-        fullname: true,
-        email: true,
-        password: true,
-        bio: true,
-        mobile: true,
-        language: true,
-        avatar: true,
-        isOnline: true,
-        lastSeen: true,
-        createdAt: true
-      }
+      select: sessionUserSelect
     });
 
-    if (!user || !(await bcrypt.compare(password, user.password))) {
+    // Accounts created through OAuth have no password until they set one
+    if (!user || !user.password || !(await bcrypt.compare(password, user.password))) {
+      const lockMs = await recordLoginFailure(email, req.ip);
+      if (lockMs > 0) {
+        res.set('Retry-After', String(Math.ceil(lockMs / 1000)));
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate access token (valid for 7 days)
-    const accessToken = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email,
-        type: 'access'
-      }, 
-      JWT_SECRET, 
-      { expiresIn: ACCESS_TOKEN_EXPIRY }
-    );
+    await clearLoginFailures(email, req.ip);
+
+    // Checked only after the password so the status is not revealed to guessers
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json(restrictionResponse(restriction));
+    }
 
-    // No refresh token generation
+    // Short-lived access token plus a refresh token starting a new family
+    const tokens = await issueAuthTokens(user);
 
-    // Update user's last login and online status
+    // Update user's last login; online status follows their socket connections
     await prisma.user.update({
       where: { id: user.id },
       data: {
-        lastSeen: new Date(),
-        isOnline: true
+        lastSeen: new Date()
       }
     });
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
-
     res.json({ 
-      user: userWithoutPassword, 
-      accessToken,
-      expiresIn: 7 * 24 * 60 * 60 // 7 days in seconds
+      user: toSessionUser(user), 
+      ...tokens
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -90,30 +160,66 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Refresh endpoint removed: using long-lived access tokens only
+// Exchange a refresh token for a new token pair (rotation)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken);
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 // Logout endpoint
 router.post('/logout', async (req, res) => {
   try {
-    // Best-effort: mark user offline if Authorization bearer token present
+    const { refreshToken, allDevices = false } = req.body;
+    let userId = null;
+    let familyId = null;
+
+    // Identify the session from the refresh token or the bearer access token
+    const family = refreshToken ? getRefreshTokenFamily(refreshToken) : null;
+    if (family) {
+      userId = family.userId;
+      familyId = family.familyId;
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
-    if (token) {
+    if (token && !familyId) {
       try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        if (decoded?.userId) {
-          await prisma.user.update({
-            where: { id: decoded.userId },
-            data: { 
-              isOnline: false,
-              lastSeen: new Date()
-            }
-          });
-        }
+        const decoded = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+        userId = decoded?.userId ?? null;
+        familyId = decoded?.sid ?? null;
       } catch (e) {
         // ignore token errors during logout
       }
     }
+
+    if (userId) {
+      if (allDevices) {
+        await revokeAllUserTokens(userId);
+      } else if (familyId) {
+        await revokeTokenFamily(familyId);
+      }
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: { 
+          lastSeen: new Date()
+        }
+      });
+    }
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -121,8 +227,338 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+// Request a password reset link. The answer is the same whether or not the
+// email is registered, so it cannot be used to probe for accounts.
+router.post('/password/forgot', passwordForgotLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true, fullname: true }
+    });
+
+    if (user) {
+      const token = await createAccountToken(user.id, 'password_reset');
+      sendPasswordResetEmail(user, token).catch((err) => {
+        console.error(`Failed to send password reset email to user ${user.id}:`, err);
+      });
+    }
+
+    res.json({ message: 'If the email is registered, a reset link has been sent' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Set a new password with a reset token; signs out every session
+router.post('/password/reset', accountTokenLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const userId = await consumeAccountToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    // The link arrived by mail, which also proves the address works
+    await prisma.user.update({
+      where: { id: userId },
+      data: { password: await bcrypt.hash(password, 10), verified: true }
+    });
+    await revokeAllUserTokens(userId);
+
+    res.json({ message: 'Password has been reset' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Change (or, for OAuth-only accounts, set) the password while logged in;
+// other sessions are signed out
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword) {
+      return res.status(400).json({ error: 'New password is required' });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { id: true, password: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Users who signed up through OAuth set their first password without one
+    if (user.password && !(currentPassword && await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: await bcrypt.hash(newPassword, 10) }
+    });
+    await revokeAccountTokens(user.id, 'password_reset');
+    const revokedSessions = await revokeAllUserTokens(user.id, { exceptFamilyId: req.user.sid });
+
+    res.json({ message: 'Password changed', revokedSessions });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Confirm the email address with the token from the verification mail
+router.post('/email/verify', accountTokenLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const userId = await consumeAccountToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { verified: true }
+    });
+
+    res.json({ message: 'Email verified', verified: true });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send the verification mail again
+router.post('/email/verify/resend', authenticateToken, passwordForgotLimiter, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { id: true, email: true, fullname: true, verified: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await startEmailVerification(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Sign in with an OpenID Connect ID token from `provider`. The identity is
+// matched to its linked user, else to a verified user with the same (provider
+// verified) email, else a new user is created. Returns the same tokens as
+// POST /login.
+router.post('/oauth/:provider', loginLimiter, async (req, res) => {
+  try {
+    const { idToken, nonce, language } = req.body;
+    const identity = await verifyIdToken(req.params.provider, idToken, { nonce });
+
+    const account = await prisma.oAuthAccount.findUnique({
+      where: { provider_subject: { provider: identity.provider, subject: identity.subject } },
+      select: { userId: true }
+    });
+
+    let userId = account?.userId;
+    let isNewUser = false;
+
+    if (!userId) {
+      if (!identity.email) {
+        return res.status(400).json({ error: 'The provider did not share an email address' });
+      }
+
+      const existing = await prisma.user.findFirst({
+        where: { email: { equals: identity.email, mode: 'insensitive' } },
+        select: { id: true, verified: true }
+      });
+
+      if (existing) {
+        // Both sides must have proven the address: an unverified local account
+        // may have been registered by someone else to take over the identity
+        if (!identity.emailVerified || !existing.verified) {
+          return res.status(409).json({
+            error: 'An account with this email already exists. Sign in and link the provider from your account settings.'
+          });
+        }
+
+        userId = existing.id;
+        await prisma.oAuthAccount.create({
+          data: { userId, provider: identity.provider, subject: identity.subject, email: identity.email }
+        });
+      } else {
+        const user = await prisma.user.create({
+          data: {
+            fullname: identity.name || identity.email.split('@')[0],
+            email: identity.email,
+            verified: identity.emailVerified,
+            language: language || DEFAULT_LANGUAGE,
+            avatar: identity.picture,
+            oauthAccounts: {
+              create: { provider: identity.provider, subject: identity.subject, email: identity.email }
+            }
+          },
+          select: { id: true, email: true, fullname: true }
+        });
+        userId = user.id;
+        isNewUser = true;
+
+        if (!identity.emailVerified) {
+          startEmailVerification(user).catch((err) => {
+            console.error(`Failed to send verification email to user ${user.id}:`, err);
+          });
+        }
+      }
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { lastSeen: new Date() },
+      select: sessionUserSelect
+    });
+
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json(restrictionResponse(restriction));
+    }
+
+    const tokens = await issueAuthTokens(user);
+
+    res.json({
+      user: toSessionUser(user),
+      ...tokens,
+      isNewUser
+    });
+  } catch (err) {
+    if (err instanceof OAuthError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'This account is already linked to another identity of the provider' });
+    }
+    console.error('OAuth login error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Linked providers and the providers that can be linked
+router.get('/oauth/accounts', authenticateToken, async (req, res) => {
+  try {
+    const [user, accounts] = await Promise.all([
+      prisma.user.findUnique({ where: { id: req.user.userId }, select: { password: true } }),
+      prisma.oAuthAccount.findMany({
+        where: { userId: req.user.userId },
+        select: { id: true, provider: true, email: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    res.json({
+      accounts,
+      providers: Object.keys(getOidcProviders()),
+      hasPassword: !!user?.password
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch linked accounts' });
+  }
+});
+
+// Link a provider identity to the logged-in user
+router.post('/oauth/:provider/link', authenticateToken, async (req, res) => {
+  try {
+    const { idToken, nonce } = req.body;
+    const userId = req.user.userId;
+    const identity = await verifyIdToken(req.params.provider, idToken, { nonce });
+
+    const existing = await prisma.oAuthAccount.findUnique({
+      where: { provider_subject: { provider: identity.provider, subject: identity.subject } }
+    });
+
+    if (existing) {
+      if (existing.userId !== userId) {
+        return res.status(409).json({ error: 'This identity is linked to another account' });
+      }
+      return res.json({ message: 'Provider already linked', account: existing });
+    }
+
+    const account = await prisma.oAuthAccount.create({
+      data: { userId, provider: identity.provider, subject: identity.subject, email: identity.email }
+    });
+
+    res.json({ message: 'Provider linked', account });
+  } catch (err) {
+    if (err instanceof OAuthError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Unlink your current account of this provider first' });
+    }
+    res.status(500).json({ error: 'Failed to link provider' });
+  }
+});
+
+// Unlink a provider; the last way to sign in cannot be removed
+router.delete('/oauth/:provider', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const provider = req.params.provider;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        password: true,
+        oauthAccounts: { select: { provider: true } }
+      }
+    });
+
+    if (!user || !user.oauthAccounts.some(account => account.provider === provider)) {
+      return res.status(404).json({ error: 'Provider is not linked' });
+    }
+
+    if (!user.password && user.oauthAccounts.length === 1) {
+      return res.status(400).json({ error: 'Set a password before unlinking your only sign-in method' });
+    }
+
+    await prisma.oAuthAccount.deleteMany({ where: { userId, provider } });
+
+    res.json({ message: 'Provider unlinked' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to unlink provider' });
+  }
+});
+
 // Check if user exists
-router.post('/exists', async (req, res) => {
+router.post('/exists', existsLimiter, async (req, res) => {
   const { email } = req.body;
   const user = await prisma.user.findUnique({ where: { email } });
   const profileComplete = !!(user && user.fullname && user.language);
@@ -152,8 +588,19 @@ function authenticateToken(req, res, next) {
       return res.status(403).json({ error: 'Invalid token type' });
     }
 
-    req.user = decoded;
-    next();
+    // Suspended and banned users lose their access tokens right away. The
+    // check is bounded by the store timeout and lets the request through if
+    // it fails.
+    isAccessRevoked(decoded.userId)
+      .catch(() => false)
+      .then((revoked) => {
+        if (revoked) {
+          return res.status(401).json({ error: 'Access token has been revoked' });
+        }
+        req.user = decoded;
+        next();
+      })
+      .catch(next);
   });
 }
 
@@ -166,6 +613,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
         id: true, 
         fullname: true, 
         email: true, 
+        verified: true,
         bio: true, 
         mobile: true, 
         language: true,
@@ -246,7 +694,9 @@ router.put('/settings', authenticateToken, async (req, res) => {
       emailNotifications,
       pushNotifications,
       newFollowerNotif,
-      playlistShareNotif
+      playlistShareNotif,
+      vibeInviteNotif,
+      weeklyDigestEmail
     } = req.body;
     
     const settings = await prisma.userSettings.upsert({
@@ -261,6 +711,8 @@ router.put('/settings', authenticateToken, async (req, res) => {
         ...(pushNotifications !== undefined && { pushNotifications }),
         ...(newFollowerNotif !== undefined && { newFollowerNotif }),
         ...(playlistShareNotif !== undefined && { playlistShareNotif }),
+        ...(vibeInviteNotif !== undefined && { vibeInviteNotif }),
+        ...(weeklyDigestEmail !== undefined && { weeklyDigestEmail }),
         updatedAt: new Date()
       },
       create: {
@@ -273,7 +725,9 @@ router.put('/settings', authenticateToken, async (req, res) => {
         ...(emailNotifications !== undefined && { emailNotifications }),
         ...(pushNotifications !== undefined && { pushNotifications }),
         ...(newFollowerNotif !== undefined && { newFollowerNotif }),
-        ...(playlistShareNotif !== undefined && { playlistShareNotif })
+        ...(playlistShareNotif !== undefined && { playlistShareNotif }),
+        ...(vibeInviteNotif !== undefined && { vibeInviteNotif }),
+        ...(weeklyDigestEmail !== undefined && { weeklyDigestEmail })
       }
     });
     
@@ -283,6 +737,25 @@ router.put('/settings', authenticateToken, async (req, res) => {
   }
 });
 
+// Unsubscribe link from emails (no login needed, the token is signed).
+// GET is the link itself, POST the one-click List-Unsubscribe request.
+async function handleUnsubscribe(req, res) {
+  try {
+    const result = await unsubscribe(req.query.token);
+
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid unsubscribe link' });
+    }
+
+    res.json({ message: 'You have been unsubscribed', setting: result.setting });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+}
+
+router.get('/unsubscribe', handleUnsubscribe);
+router.post('/unsubscribe', handleUnsubscribe);
+
 // Get user's listening stats
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
@@ -343,7 +816,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
-// Follow/Unfollow user
+// Follow/Unfollow user. Private profiles get a follow request instead, and
+// calling this again while the request is pending cancels it.
 router.post('/follow/:userId', authenticateToken, async (req, res) => {
   try {
     const followingId = parseInt(req.params.userId);
@@ -375,10 +849,57 @@ router.post('/follow/:userId', authenticateToken, async (req, res) => {
       });
       res.json({ message: 'Unfollowed successfully', following: false });
     } else {
+      const target = await prisma.user.findUnique({
+        where: { id: followingId },
+        select: {
+          id: true,
+          userSettings: { select: { profilePublic: true } }
+        }
+      });
+
+      if (!target || await isBlockedBetween(followerId, followingId)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (target.userSettings?.profilePublic === false) {
+        const existingRequest = await prisma.followRequest.findUnique({
+          where: {
+            requesterId_targetId: {
+              requesterId: followerId,
+              targetId: followingId
+            }
+          }
+        });
+
+        if (existingRequest?.status === 'pending') {
+          await prisma.followRequest.delete({ where: { id: existingRequest.id } });
+          return res.json({ message: 'Follow request cancelled', following: false, requested: false });
+        }
+
+        // A rejected request may be sent again
+        const request = await prisma.followRequest.upsert({
+          where: {
+            requesterId_targetId: {
+              requesterId: followerId,
+              targetId: followingId
+            }
+          },
+          update: { status: 'pending', createdAt: new Date(), respondedAt: null },
+          create: { requesterId: followerId, targetId: followingId }
+        });
+        await notifyUser(followingId, {
+          type: 'follow_request',
+          actorId: followerId,
+          data: { requestId: request.id }
+        });
+        return res.json({ message: 'Follow request sent', following: false, requested: true, request });
+      }
+
       // Follow
       await prisma.follow.create({
         data: { followerId, followingId }
       });
+      await notifyUser(followingId, { type: 'new_follower', actorId: followerId });
       res.json({ message: 'Followed successfully', following: true });
     }
   } catch (err) {
@@ -386,6 +907,181 @@ router.post('/follow/:userId', authenticateToken, async (req, res) => {
   }
 });
 
+// Get pending follow requests sent to the current user
+router.get('/follow-requests', authenticateToken, async (req, res) => {
+  try {
+    const requests = await prisma.followRequest.findMany({
+      where: { targetId: req.user.userId, status: 'pending' },
+      include: {
+        requester: {
+          select: {
+            id: true,
+            fullname: true,
+            avatar: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ requests });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch follow requests' });
+  }
+});
+
+// Get pending follow requests the current user sent
+router.get('/follow-requests/sent', authenticateToken, async (req, res) => {
+  try {
+    const requests = await prisma.followRequest.findMany({
+      where: { requesterId: req.user.userId, status: 'pending' },
+      include: {
+        target: {
+          select: {
+            id: true,
+            fullname: true,
+            avatar: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ requests });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch follow requests' });
+  }
+});
+
+// Approve a follow request
+router.post('/follow-requests/:id/approve', authenticateToken, async (req, res) => {
+  try {
+    const requestId = parseInt(req.params.id);
+
+    const request = await prisma.followRequest.findUnique({ where: { id: requestId } });
+
+    if (!request || request.targetId !== req.user.userId) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ error: 'Follow request already handled' });
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.followRequest.update({
+        where: { id: requestId },
+        data: { status: 'accepted', respondedAt: new Date() }
+      }),
+      prisma.follow.upsert({
+        where: {
+          followerId_followingId: {
+            followerId: request.requesterId,
+            followingId: request.targetId
+          }
+        },
+        update: {},
+        create: { followerId: request.requesterId, followingId: request.targetId }
+      })
+    ]);
+
+    res.json({ message: 'Follow request approved', request: updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to approve follow request' });
+  }
+});
+
+// Deny a follow request
+router.post('/follow-requests/:id/deny', authenticateToken, async (req, res) => {
+  try {
+    const requestId = parseInt(req.params.id);
+
+    const request = await prisma.followRequest.findUnique({ where: { id: requestId } });
+
+    if (!request || request.targetId !== req.user.userId) {
+      return res.status(404).json({ error: 'Follow request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ error: 'Follow request already handled' });
+    }
+
+    const updated = await prisma.followRequest.update({
+      where: { id: requestId },
+      data: { status: 'rejected', respondedAt: new Date() }
+    });
+
+    res.json({ message: 'Follow request denied', request: updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to deny follow request' });
+  }
+});
+
+// Get users blocked by the current user
+router.get('/blocks', authenticateToken, async (req, res) => {
+  try {
+    const blocks = await prisma.block.findMany({
+      where: { blockerId: req.user.userId },
+      include: {
+        blocked: {
+          select: {
+            id: true,
+            fullname: true,
+            avatar: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ blocked: blocks.map(b => ({ ...b.blocked, blockedAt: b.createdAt })) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch blocked users' });
+  }
+});
+
+// Block a user (also removes follows and follow requests between both users)
+router.post('/block/:userId', authenticateToken, async (req, res) => {
+  try {
+    const blockedId = parseInt(req.params.userId);
+    const blockerId = req.user.userId;
+
+    if (blockedId === blockerId) {
+      return res.status(400).json({ error: 'Cannot block yourself' });
+    }
+
+    const userExists = await prisma.user.findUnique({
+      where: { id: blockedId },
+      select: { id: true }
+    });
+
+    if (!userExists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await blockUser(blockerId, blockedId);
+
+    res.json({ message: 'User blocked', blocked: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock a user
+router.delete('/block/:userId', authenticateToken, async (req, res) => {
+  try {
+    const blockedId = parseInt(req.params.userId);
+
+    await prisma.block.deleteMany({
+      where: { blockerId: req.user.userId, blockedId }
+    });
+
+    res.json({ message: 'User unblocked', blocked: false });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
 // Get user's followers
 router.get('/followers', authenticateToken, async (req, res) => {
   try {
@@ -434,6 +1130,118 @@ router.get('/following', authenticateToken, async (req, res) => {
   }
 });
 
+// Activity feed of followed users (newest first, cursor paginated)
+router.get('/feed', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+
+    const decodedCursor = cursor ? decodeFeedCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const { items, nextCursor } = await getActivityFeed(req.user.userId, {
+      cursor: decodedCursor,
+      limit
+    });
+
+    res.json({ items, nextCursor });
+  } catch (err) {
+    console.error('Feed error:', err);
+    res.status(500).json({ error: 'Failed to fetch activity feed' });
+  }
+});
+
+// Download everything stored for the account (?format=json or csv as a zip)
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const userId = req.user.userId;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be json or csv' });
+    }
+
+    const data = await collectAccountData(userId);
+    const date = data.exportedAt.toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename=diya-export-${userId}-${date}.zip`);
+      return res.send(createCsvArchive(data));
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename=diya-export-${userId}-${date}.json`);
+    res.json(data);
+  } catch (err) {
+    console.error('Account export error:', err);
+    res.status(500).json({ error: 'Failed to export account data' });
+  }
+});
+
+// Delete the account in two steps: the first call (with the password, if the
+// account has one) returns a short-lived confirmationToken, the second call
+// with that token schedules the deletion after the grace period.
+router.delete('/account', authenticateToken, async (req, res) => {
+  try {
+    const { password, confirmationToken } = req.body;
+    const userId = req.user.userId;
+
+    if (confirmationToken) {
+      const confirmedUserId = await consumeAccountToken(confirmationToken, 'account_deletion');
+      if (confirmedUserId !== userId) {
+        return res.status(400).json({ error: 'Confirmation token is invalid or has expired' });
+      }
+
+      const deletionScheduledAt = await scheduleAccountDeletion(userId);
+      return res.json({
+        message: 'Account scheduled for deletion. Log in and restore it before then to keep it.',
+        deletionScheduledAt
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, password: true, deletionScheduledAt: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.deletionScheduledAt) {
+      return res.status(400).json({ error: 'Account is already scheduled for deletion' });
+    }
+    if (user.password && !(password && await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const token = await createAccountToken(userId, 'account_deletion');
+    res.json({
+      message: 'Send this confirmationToken to DELETE /api/user/account to confirm',
+      confirmationToken: token,
+      expiresIn: ACCOUNT_TOKEN_TTL.account_deletion
+    });
+  } catch (err) {
+    console.error('Account deletion error:', err);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Cancel a scheduled deletion during the grace period
+router.post('/account/restore', authenticateToken, async (req, res) => {
+  try {
+    const restored = await cancelAccountDeletion(req.user.userId);
+
+    if (!restored) {
+      return res.status(400).json({ error: 'Account is not scheduled for deletion' });
+    }
+
+    res.json({ message: 'Account restored' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to restore account' });
+  }
+});
+
 // Search users
 router.get('/search', authenticateToken, async (req, res) => {
   try {
@@ -442,13 +1250,18 @@ router.get('/search', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Search query must be at least 2 characters' });
     }
     
+    // Exclude current user and anyone blocked in either direction
+    const hiddenIds = [req.user.userId, ...await getBlockedUserIds(req.user.userId)];
+
     const users = await prisma.user.findMany({
       where: {
         OR: [
           { fullname: { contains: q, mode: 'insensitive' } },
           { email: { contains: q, mode: 'insensitive' } }
         ],
-        NOT: { id: req.user.userId } // Exclude current user
+        id: { notIn: hiddenIds },
+        deletionScheduledAt: null,
+        status: { not: 'banned' }
       },
       select: {
         id: true,
@@ -466,25 +1279,229 @@ router.get('/search', authenticateToken, async (req, res) => {
   }
 });
 
-// Update user online status
+// Refresh last seen. Online status itself is tracked from socket connections,
+// so a client-reported `isOnline` is ignored and the tracked status returned.
 router.put('/online-status', authenticateToken, async (req, res) => {
   try {
-    const { isOnline } = req.body;
-    
     await prisma.user.update({
       where: { id: req.user.userId },
       data: {
-        isOnline: isOnline,
         lastSeen: new Date()
       }
     });
     
-    res.json({ message: 'Status updated successfully' });
+    res.json({ message: 'Status updated successfully', isOnline: isUserOnline(req.user.userId) });
   } catch (err) {
     res.status(500).json({ error: 'Failed to update status' });
   }
 });
 
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+
+// Register a device for push notifications (re-registering updates it)
+router.post('/devices', authenticateToken, async (req, res) => {
+  try {
+    const { token, platform, provider, appVersion } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Device token is required' });
+    }
+
+    if (!DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `platform must be one of: ${DEVICE_PLATFORMS.join(', ')}` });
+    }
+
+    if (provider !== undefined && !PROVIDERS[provider]) {
+      return res.status(400).json({ error: `provider must be one of: ${Object.keys(PROVIDERS).join(', ')}` });
+    }
+
+    // A token belongs to one device; if another account used it, move it over
+    const device = await prisma.deviceToken.upsert({
+      where: { token },
+      update: {
+        userId: req.user.userId,
+        platform,
+        provider: provider || providerForPlatform(platform),
+        appVersion
+      },
+      create: {
+        userId: req.user.userId,
+        token,
+        platform,
+        provider: provider || providerForPlatform(platform),
+        appVersion
+      }
+    });
+
+    res.json({ device });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// Get devices registered for push notifications
+router.get('/devices', authenticateToken, async (req, res) => {
+  try {
+    const devices = await prisma.deviceToken.findMany({
+      where: { userId: req.user.userId },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    res.json({ devices });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
+});
+
+// Unregister a device (e.g. on logout)
+router.delete('/devices/:id', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await prisma.deviceToken.deleteMany({
+      where: { id: parseInt(req.params.id), userId: req.user.userId }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json({ message: 'Device removed' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to remove device' });
+  }
+});
+
+// Get another user's profile. Keep this route last so it cannot shadow the
+// fixed paths above.
+router.get('/:id(\\d+)', authenticateToken, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const viewerId = req.user.userId;
+
+    // Banned accounts and those waiting for deletion are hidden from everyone else
+    const user = await prisma.user.findUnique({
+      where: {
+        id: userId,
+        ...(userId !== viewerId && { deletionScheduledAt: null, status: { not: 'banned' } })
+      },
+      select: {
+        id: true,
+        fullname: true,
+        avatar: true,
+        bio: true,
+        isOnline: true,
+        lastSeen: true,
+        createdAt: true,
+        userSettings: {
+          select: { profilePublic: true, showActivity: true, showPlaylists: true }
+        }
+      }
+    });
+    const isSelf = userId === viewerId;
+    if (!user || (!isSelf && await isBlockedBetween(viewerId, userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [follow, followRequest, followers, following] = await Promise.all([
+      isSelf ? null : prisma.follow.findUnique({
+        where: {
+          followerId_followingId: { followerId: viewerId, followingId: userId }
+        }
+      }),
+      isSelf ? null : prisma.followRequest.findUnique({
+        where: {
+          requesterId_targetId: { requesterId: viewerId, targetId: userId }
+        }
+      }),
+      prisma.follow.count({ where: { followingId: userId } }),
+      prisma.follow.count({ where: { followerId: userId } })
+    ]);
+    const isFollowing = !!follow;
+    const followRequested = followRequest?.status === 'pending';
+
+    const visibility = resolveProfileVisibility(user.userSettings, { isSelf, isFollowing });
+    const stats = { followers, following };
+
+    // Private profile: just enough to recognise the user and follow them
+    if (!visibility.profile) {
+      return res.json({
+        user: { id: user.id, fullname: user.fullname, avatar: user.avatar },
+        isPrivate: true,
+        isFollowing,
+        followRequested,
+        stats,
+        message: 'This profile is private. Send a follow request to see more.'
+      });
+    }
+
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+    const [playlists, topArtists, recentPlays] = await Promise.all([
+      visibility.playlists ? prisma.playlist.findMany({
+        where: { userId, isPublic: true },
+        select: {
+          id: true,
+          name: true,
+          description: true,
+          imageUrl: true,
+          createdAt: true,
+          _count: { select: { songs: true } }
+        },
+        orderBy: { updatedAt: 'desc' },
+        take: 20
+      }) : null,
+      visibility.activity ? prisma.playHistory.groupBy({
+        by: ['artistName'],
+        where: {
+          userId,
+          playedAt: { gte: thirtyDaysAgo }
+        },
+        _count: { artistName: true },
+        orderBy: { _count: { artistName: 'desc' } },
+        take: 5
+      }) : null,
+      visibility.activity ? prisma.playHistory.findMany({
+        where: { userId },
+        select: {
+          songId: true,
+          songName: true,
+          artistName: true,
+          imageUrl: true,
+          playedAt: true
+        },
+        orderBy: { playedAt: 'desc' },
+        take: 10
+      }) : null
+    ]);
+
+    const { userSettings, isOnline, lastSeen, ...profile } = user;
+
+    res.json({
+      user: {
+        ...profile,
+        // Online status is listening activity too
+        ...(visibility.activity && { isOnline, lastSeen })
+      },
+      isPrivate: userSettings?.profilePublic === false,
+      isFollowing,
+      stats,
+      visibility,
+      playlists: playlists && playlists.map(({ _count, ...playlist }) => ({
+        ...playlist,
+        songCount: _count.songs
+      })),
+      topArtists: topArtists && topArtists.map(artist => ({
+        name: artist.artistName,
+        playCount: artist._count.artistName
+      })),
+      recentPlays
+    });
+  } catch (err) {
+    console.error('Public profile error:', err);
+    res.status(500).json({ error: 'Failed to fetch user profile' });
+  }
+});
+
 // Export the authenticateToken middleware for use in other routers
 export { authenticateToken };
 export default router;
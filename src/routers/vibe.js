@@ -1,6 +1,45 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from './user.js';
+import {
+  QUEUE_MODES,
+  getVibeContext,
+  isVibeMember,
+  canVote,
+  canControlPlayback,
+  canAddToQueue,
+  canRemoveFromQueue,
+  canModerateChat,
+  canViewRecap,
+  canSaveRecap,
+  canEndSession
+} from '../services/vibeAccess.js';
+import {
+  buildPlaybackState,
+  updatePlayback,
+  startSong,
+  broadcastSync
+} from '../services/vibeClock.js';
+import { advanceQueue, reschedule, queueOrderBy, endVibeSession } from '../services/vibeScheduler.js';
+import {
+  VoteError,
+  castQueueVote,
+  castSkipVote,
+  withdrawSkipVote,
+  getSkipStatus
+} from '../services/vibeVotes.js';
+import {
+  ChatError,
+  sendMessage,
+  sendReaction,
+  listMessages,
+  deleteMessage
+} from '../services/vibeChat.js';
+import { QueueError, addToQueue } from '../services/vibeQueue.js';
+import { buildRecap, saveRecapAsPlaylist } from '../services/vibeRecap.js';
+import { getBlockedUserIds } from '../services/blocks.js';
+import { sendVibeInviteEmails } from '../services/email.js';
+import { notifyUsers } from '../services/notifications.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -99,13 +138,23 @@ router.post('/', authenticateToken, async (req, res) => {
       isPublic = false,
       maxMembers = 10,
       allowGuestControl = false,
-      queueMode = 'collaborative'
+      queueMode = 'collaborative',
+      autoplay = false,
+      skipThreshold = 0.5
     } = req.body;
 
     if (!name || name.trim().length === 0) {
       return res.status(400).json({ error: 'Vibe session name is required' });
     }
 
+    if (!QUEUE_MODES.includes(queueMode)) {
+      return res.status(400).json({ error: `Queue mode must be one of: ${QUEUE_MODES.join(', ')}` });
+    }
+
+    if (!(skipThreshold > 0 && skipThreshold <= 1)) {
+      return res.status(400).json({ error: 'Skip threshold must be between 0 and 1' });
+    }
+
     const session = await prisma.vibeSession.create({
       data: {
         name: name.trim(),
@@ -114,6 +163,8 @@ router.post('/', authenticateToken, async (req, res) => {
         maxMembers,
         allowGuestControl,
         queueMode,
+        autoplay,
+        skipThreshold,
         creatorId: req.user.userId
       },
       include: {
@@ -151,10 +202,6 @@ router.get('/:id', authenticateToken, async (req, res) => {
             }
           },
           orderBy: { joinedAt: 'asc' }
-        },
-        queue: {
-          where: { played: false },
-          orderBy: { position: 'asc' }
         }
       }
     });
@@ -163,6 +210,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Vibe session not found' });
     }
 
+    // Queue order depends on the mode (score first in democratic sessions)
+    session.queue = await prisma.vibeQueue.findMany({
+      where: { sessionId, played: false },
+      orderBy: queueOrderBy(session.queueMode)
+    });
+
     // Check if user has access to this session
     const hasAccess = session.isPublic ||
       session.creatorId === req.user.userId ||
@@ -172,7 +225,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.json({ session });
+    res.json({ session, playback: buildPlaybackState(session) });
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch vibe session' });
   }
@@ -262,7 +315,8 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
       }
     });
 
-    res.json({ session: updatedSession });
+    // Late joiners land at the live offset of the current song
+    res.json({ session: updatedSession, playback: buildPlaybackState(updatedSession) });
   } catch (err) {
     res.status(500).json({ error: 'Failed to join vibe session' });
   }
@@ -320,9 +374,19 @@ router.put('/:id', authenticateToken, async (req, res) => {
       isPublic,
       maxMembers,
       allowGuestControl,
-      queueMode
+      queueMode,
+      autoplay,
+      skipThreshold
     } = req.body;
 
+    if (queueMode && !QUEUE_MODES.includes(queueMode)) {
+      return res.status(400).json({ error: `Queue mode must be one of: ${QUEUE_MODES.join(', ')}` });
+    }
+
+    if (skipThreshold !== undefined && !(skipThreshold > 0 && skipThreshold <= 1)) {
+      return res.status(400).json({ error: 'Skip threshold must be between 0 and 1' });
+    }
+
     // Check if user is the creator
     const session = await prisma.vibeSession.findUnique({
       where: { id: sessionId },
@@ -341,7 +405,9 @@ router.put('/:id', authenticateToken, async (req, res) => {
         ...(isPublic !== undefined && { isPublic }),
         ...(maxMembers && { maxMembers }),
         ...(allowGuestControl !== undefined && { allowGuestControl }),
-        ...(queueMode && { queueMode })
+        ...(queueMode && { queueMode }),
+        ...(autoplay !== undefined && { autoplay }),
+        ...(skipThreshold !== undefined && { skipThreshold })
       },
       include: {
         creator: {
@@ -361,69 +427,30 @@ router.put('/:id', authenticateToken, async (req, res) => {
 router.post('/:id/queue', authenticateToken, async (req, res) => {
   try {
     const sessionId = parseInt(req.params.id);
-    const { songId, songName, artistName, imageUrl, duration } = req.body;
-
-    if (!songId || !songName || !artistName) {
-      return res.status(400).json({ error: 'Song details are required' });
-    }
 
     // Check if user is creator or participant
-    const sessionCheck = await prisma.vibeSession.findUnique({
-      where: { id: sessionId },
-      select: { creatorId: true }
-    });
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
 
-    if (!sessionCheck) {
+    if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    const participant = await prisma.vibeParticipant.findUnique({
-      where: {
-        sessionId_userId: {
-          sessionId,
-          userId: req.user.userId
-        }
-      }
-    });
-
-    if (sessionCheck.creatorId !== req.user.userId && (!participant || !participant.isActive)) {
+    if (!isVibeMember(session, participant, req.user.userId)) {
       return res.status(403).json({ error: 'Not a member of this session' });
     }
 
-    // Get session to check queue mode
-    const session = await prisma.vibeSession.findUnique({
-      where: { id: sessionId },
-      select: { queueMode: true, creatorId: true }
-    });
-
     // Check permissions based on queue mode
-    if (session.queueMode === 'host-only' && session.creatorId !== req.user.userId) {
+    if (!canAddToQueue(session, participant, req.user.userId)) {
       return res.status(403).json({ error: 'Only host can add songs to queue' });
     }
 
-    // Get next position in queue
-    const lastQueueItem = await prisma.vibeQueue.findFirst({
-      where: { sessionId },
-      orderBy: { position: 'desc' }
-    });
-
-    const position = (lastQueueItem?.position || 0) + 1;
-
-    const queueItem = await prisma.vibeQueue.create({
-      data: {
-        sessionId,
-        songId,
-        songName,
-        artistName,
-        imageUrl,
-        duration: duration ? parseInt(duration) : null,
-        addedBy: req.user.userId,
-        position
-      }
-    });
+    const queueItem = await addToQueue(req.app.get('io'), session, req.user.userId, req.body);
 
     res.json({ queueItem });
   } catch (err) {
+    if (err instanceof QueueError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     res.status(500).json({ error: 'Failed to add song to queue' });
   }
 });
@@ -437,49 +464,39 @@ router.put('/:id/current-song', authenticateToken, async (req, res) => {
       songName,
       artistName,
       imageUrl,
+      duration,
       isPlaying = true,
       position = 0
     } = req.body;
 
     // Check if user has control permissions
-    const session = await prisma.vibeSession.findUnique({
-      where: { id: sessionId },
-      include: {
-        participants: {
-          where: {
-            userId: req.user.userId,
-            isActive: true
-          }
-        }
-      }
-    });
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
 
     if (!session) {
       return res.status(404).json({ error: 'Vibe session not found' });
     }
 
-    const participant = session.participants[0];
-    const canControl = session.creatorId === req.user.userId ||
-      (session.allowGuestControl && participant) ||
-      (participant && participant.role === 'admin');
-
-    if (!canControl) {
+    if (!canControlPlayback(session, participant, req.user.userId)) {
       return res.status(403).json({ error: 'No permission to control playback' });
     }
 
+    // Link to the queue row when the song came from the queue (for its duration)
+    const queueItem = songId ? await prisma.vibeQueue.findFirst({
+      where: { sessionId, songId, played: false },
+      orderBy: { position: 'asc' }
+    }) : null;
+
     // Update session with current song
-    const updatedSession = await prisma.vibeSession.update({
-      where: { id: sessionId },
-      data: {
-        currentSongId: songId,
-        currentSongName: songName,
-        currentArtistName: artistName,
-        currentImageUrl: imageUrl,
+    const { session: updatedSession, playback } = await startSong(
+      sessionId,
+      { songId, songName, artistName, imageUrl, duration },
+      {
         isPlaying,
-        currentPosition: position,
-        lastUpdated: new Date()
+        position: parseInt(position) || 0,
+        queueId: queueItem?.id ?? null,
+        startedBy: req.user.userId
       }
-    });
+    );
 
     // Mark song as played in queue if it exists
     if (songId) {
@@ -493,7 +510,10 @@ router.put('/:id/current-song', authenticateToken, async (req, res) => {
       });
     }
 
-    res.json({ session: updatedSession });
+    reschedule(sessionId);
+    broadcastSync(req.app.get('io'), updatedSession);
+
+    res.json({ session: updatedSession, playback });
   } catch (err) {
     res.status(500).json({ error: 'Failed to update current song' });
   }
@@ -506,41 +526,23 @@ router.put('/:id/playback', authenticateToken, async (req, res) => {
     const { isPlaying, position } = req.body;
 
     // Check permissions
-    const session = await prisma.vibeSession.findUnique({
-      where: { id: sessionId },
-      include: {
-        participants: {
-          where: {
-            userId: req.user.userId,
-            isActive: true
-          }
-        }
-      }
-    });
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
 
     if (!session) {
       return res.status(404).json({ error: 'Vibe session not found' });
     }
 
-    const participant = session.participants[0];
-    const canControl = session.creatorId === req.user.userId ||
-      (session.allowGuestControl && participant) ||
-      (participant && participant.role === 'admin');
-
-    if (!canControl) {
+    if (!canControlPlayback(session, participant, req.user.userId)) {
       return res.status(403).json({ error: 'No permission to control playback' });
     }
 
-    const updatedSession = await prisma.vibeSession.update({
-      where: { id: sessionId },
-      data: {
-        ...(isPlaying !== undefined && { isPlaying }),
-        ...(position !== undefined && { currentPosition: position }),
-        lastUpdated: new Date()
-      }
-    });
+    // Without an explicit position the live position is frozen in
+    const { session: updatedSession, playback } = await updatePlayback(sessionId, { isPlaying, position });
 
-    res.json({ session: updatedSession });
+    reschedule(sessionId);
+    broadcastSync(req.app.get('io'), updatedSession);
+
+    res.json({ session: updatedSession, playback });
   } catch (err) {
     res.status(500).json({ error: 'Failed to update playback state' });
   }
@@ -552,69 +554,231 @@ router.post('/:id/next', authenticateToken, async (req, res) => {
     const sessionId = parseInt(req.params.id);
     const userId = req.user.userId;
 
-    const session = await prisma.vibeSession.findUnique({
-      where: { id: sessionId },
-      include: {
-        participants: {
-          where: { userId, isActive: true }
-        }
-      }
-    });
+    const { session, participant } = await getVibeContext(sessionId, userId);
 
     if (!session) return res.status(404).json({ error: 'Session not found' });
 
-    const isCreator = session.creatorId === userId;
-    const participant = session.participants[0];
-    const isAdmin = participant && participant.role === 'admin';
-
-    if (!isCreator && !isAdmin && !session.allowGuestControl) {
+    if (!canControlPlayback(session, participant, userId)) {
       return res.status(403).json({ error: 'Permission denied' });
     }
 
-    // Get next song from queue
-    const nextSong = await prisma.vibeQueue.findFirst({
-      where: { sessionId, played: false },
-      orderBy: { position: 'asc' }
-    });
+    // Same advancement the scheduler runs when a track ends on its own
+    const { song: nextSong } = await advanceQueue(sessionId);
 
     if (!nextSong) {
-      // Queue empty - stop playback
-      await prisma.vibeSession.update({
-        where: { id: sessionId },
-        data: {
-          isPlaying: false,
-          currentSongId: null,
-          currentSongName: null,
-          currentArtistName: null,
-          currentImageUrl: null
-        }
-      });
       return res.json({ message: 'Queue finished' });
     }
 
-    // Update Session with new song
-    await prisma.vibeSession.update({
-      where: { id: sessionId },
-      data: {
-        currentSongId: nextSong.songId,
-        currentSongName: nextSong.songName,
-        currentArtistName: nextSong.artistName,
-        currentImageUrl: nextSong.imageUrl,
-        isPlaying: true,
-        currentPosition: 0,
-        lastUpdated: new Date()
-      }
-    });
+    res.json({ message: 'Playing next song', song: nextSong });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to play next song' });
+  }
+});
+
+// Upvote/downvote a queued song (democratic mode); value 0 removes the vote
+router.post('/:id/queue/:queueId/vote', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const queueId = parseInt(req.params.queueId);
+    const value = parseInt(req.body.value);
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
+
+    if (!session || !session.isActive) {
+      return res.status(404).json({ error: 'Vibe session not found or inactive' });
+    }
+
+    if (!canVote(session, participant, req.user.userId)) {
+      return res.status(403).json({ error: 'Voting is only open to members of democratic sessions' });
+    }
+
+    const vote = await castQueueVote(req.app.get('io'), session, queueId, req.user.userId, value);
+
+    res.json({ vote });
+  } catch (err) {
+    if (err instanceof VoteError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to vote on queue item' });
+  }
+});
+
+// Get skip vote status for the current song
+router.get('/:id/skip-vote', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Vibe session not found' });
+    }
+
+    if (!isVibeMember(session, participant, req.user.userId)) {
+      return res.status(403).json({ error: 'Not a member of this session' });
+    }
+
+    const skip = await getSkipStatus(session);
+
+    res.json({ skip });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch skip votes' });
+  }
+});
+
+// Vote to skip the current song (democratic mode)
+router.post('/:id/skip-vote', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
+
+    if (!session || !session.isActive) {
+      return res.status(404).json({ error: 'Vibe session not found or inactive' });
+    }
+
+    if (!canVote(session, participant, req.user.userId)) {
+      return res.status(403).json({ error: 'Voting is only open to members of democratic sessions' });
+    }
+
+    const skip = await castSkipVote(req.app.get('io'), session, req.user.userId);
+
+    res.json({ skip });
+  } catch (err) {
+    if (err instanceof VoteError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to vote to skip' });
+  }
+});
+
+// Withdraw a skip vote
+router.delete('/:id/skip-vote', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
+
+    if (!session || !session.isActive) {
+      return res.status(404).json({ error: 'Vibe session not found or inactive' });
+    }
+
+    if (!canVote(session, participant, req.user.userId)) {
+      return res.status(403).json({ error: 'Voting is only open to members of democratic sessions' });
+    }
+
+    const skip = await withdrawSkipVote(req.app.get('io'), session, req.user.userId);
 
-    // Mark as played
-    await prisma.vibeQueue.update({
-      where: { id: nextSong.id },
-      data: { played: true }
+    res.json({ skip });
+  } catch (err) {
+    if (err instanceof VoteError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to withdraw skip vote' });
+  }
+});
+
+// Get chat history of a session (newest first, cursor paginated)
+router.get('/:id/messages', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const { before, limit = 50 } = req.query;
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Vibe session not found' });
+    }
+
+    if (!session.isPublic && !isVibeMember(session, participant, req.user.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { messages, nextCursor } = await listMessages(sessionId, { before, limit });
+
+    res.json({ messages, nextCursor });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// Send a chat message
+router.post('/:id/messages', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
+
+    if (!session || !session.isActive) {
+      return res.status(404).json({ error: 'Vibe session not found or inactive' });
+    }
+
+    if (!isVibeMember(session, participant, req.user.userId)) {
+      return res.status(403).json({ error: 'Not a member of this session' });
+    }
+
+    const message = await sendMessage(req.app.get('io'), session, req.user.userId, req.body.content);
+
+    res.json({ message });
+  } catch (err) {
+    if (err instanceof ChatError) {
+      if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// React with an emoji to a message or to the current song
+router.post('/:id/reactions', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const { emoji, messageId } = req.body;
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
+
+    if (!session || !session.isActive) {
+      return res.status(404).json({ error: 'Vibe session not found or inactive' });
+    }
+
+    if (!isVibeMember(session, participant, req.user.userId)) {
+      return res.status(403).json({ error: 'Not a member of this session' });
+    }
+
+    const reaction = await sendReaction(req.app.get('io'), session, req.user.userId, { emoji, messageId });
+
+    res.json({ reaction });
+  } catch (err) {
+    if (err instanceof ChatError) {
+      if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to send reaction' });
+  }
+});
+
+// Delete a chat message (author, creator or session admin)
+router.delete('/:id/messages/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const messageId = parseInt(req.params.messageId);
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Vibe session not found' });
+    }
+
+    await deleteMessage(req.app.get('io'), session, messageId, req.user.userId, {
+      canModerate: canModerateChat(session, participant, req.user.userId)
     });
 
-    res.json({ message: 'Playing next song', song: nextSong });
+    res.json({ message: 'Message deleted' });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to play next song' });
+    if (err instanceof ChatError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to delete message' });
   }
 });
 
@@ -640,10 +804,7 @@ router.delete('/:id/queue/:queueId', authenticateToken, async (req, res) => {
     }
 
     // User can remove if they are: creator, or added the song themselves
-    const canRemove = session.creatorId === req.user.userId ||
-      queueItem.addedBy === req.user.userId;
-
-    if (!canRemove) {
+    if (!canRemoveFromQueue(session, queueItem, req.user.userId)) {
       return res.status(403).json({ error: 'Permission denied' });
     }
 
@@ -668,30 +829,75 @@ router.post('/:id/end', authenticateToken, async (req, res) => {
       select: { creatorId: true }
     });
 
-    if (!session || session.creatorId !== req.user.userId) {
+    if (!session || !canEndSession(session, req.user.userId)) {
       return res.status(403).json({ error: 'Only creator can end the session' });
     }
 
     // End session and deactivate all participants
-    await prisma.vibeSession.update({
-      where: { id: sessionId },
-      data: {
-        isActive: false,
-        endedAt: new Date()
-      }
+    await endVibeSession(sessionId);
+
+    res.json({ message: 'Vibe session ended successfully' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to end vibe session' });
+  }
+});
+
+// Get the recap of a session: played songs, who joined and left, duration
+router.get('/:id/recap', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId, {
+      includeInactive: true
     });
 
-    await prisma.vibeParticipant.updateMany({
-      where: { sessionId },
-      data: {
-        isActive: false,
-        leftAt: new Date()
-      }
+    if (!session) {
+      return res.status(404).json({ error: 'Vibe session not found' });
+    }
+
+    if (!canViewRecap(session, participant, req.user.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const recap = await buildRecap(sessionId);
+
+    res.json({ recap });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch session recap' });
+  }
+});
+
+// Save the songs played in a session as a new playlist
+router.post('/:id/recap/playlist', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const { name, description, isPublic } = req.body;
+
+    const { session, participant } = await getVibeContext(sessionId, req.user.userId, {
+      includeInactive: true
     });
 
-    res.json({ message: 'Vibe session ended successfully' });
+    if (!session) {
+      return res.status(404).json({ error: 'Vibe session not found' });
+    }
+
+    if (!canSaveRecap(session, participant, req.user.userId)) {
+      return res.status(403).json({ error: 'Only participants can save the recap' });
+    }
+
+    const playlist = await saveRecapAsPlaylist(sessionId, req.user.userId, {
+      name,
+      description,
+      isPublic: isPublic === true
+    });
+
+    if (!playlist) {
+      return res.status(400).json({ error: 'No songs were played in this session' });
+    }
+
+    res.status(201).json({ playlist });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to end vibe session' });
+    res.status(500).json({ error: 'Failed to save recap as playlist' });
   }
 });
 
@@ -734,9 +940,16 @@ router.post('/:id/invite', authenticateToken, async (req, res) => {
       select: { fullname: true }
     });
 
+    // Users who blocked the inviter (or were blocked by them) are not invited
+    const blockedIds = new Set(await getBlockedUserIds(inviterId));
+
     // Create invitations
     const invitations = await Promise.all(
       userIds.map(async (userId) => {
+        if (blockedIds.has(userId)) {
+          return null;
+        }
+
         // Check if user is already a participant
         const existingParticipant = await prisma.vibeParticipant.findUnique({
           where: {
@@ -782,7 +995,24 @@ router.post('/:id/invite', authenticateToken, async (req, res) => {
 
     const sentInvitations = invitations.filter(inv => inv !== null);
 
-    // TODO: Send push notification to invited users
+    // One call for the whole list so the push goes out as a single batch
+    const invitationIds = new Map(sentInvitations.map(inv => [inv.invitedUserId, inv.id]));
+    await notifyUsers([...invitationIds.keys()], {
+      type: 'vibe_invite',
+      actorId: inviterId,
+      data: (userId) => ({
+        invitationId: invitationIds.get(userId),
+        sessionId,
+        sessionName: session.name
+      })
+    });
+
+    // Mails go out in the background so the response is not held up by SMTP
+    sendVibeInviteEmails([...invitationIds.keys()], {
+      inviterName: inviter?.fullname || 'Someone',
+      sessionId,
+      sessionName: session.name
+    });
 
     res.json({
       message: `Sent ${sentInvitations.length} invitation(s)`,
@@ -0,0 +1,86 @@
+import { PrismaClient } from '@prisma/client';
+import { revokeAllUserTokens } from './tokenService.js';
+
+const prisma = new PrismaClient();
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10);
+const PURGE_INTERVAL_MS = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS || '3600000', 10);
+
+// Mark the account for deletion after the grace period and sign it out
+// everywhere. Until then the user can log in and cancel.
+export async function scheduleAccountDeletion(userId) {
+  const deletionScheduledAt = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await prisma.user.update({
+    where: { id: userId },
+    data: { deletionScheduledAt, isOnline: false }
+  });
+  await revokeAllUserTokens(userId);
+  return deletionScheduledAt;
+}
+
+export async function cancelAccountDeletion(userId) {
+  const { count } = await prisma.user.updateMany({
+    where: { id: userId, deletionScheduledAt: { not: null } },
+    data: { deletionScheduledAt: null }
+  });
+  return count > 0;
+}
+
+// Delete one account if it is still due. Most rows go with the cascades in
+// schema.prisma; rows that only reference the user by id are removed first.
+async function purgeAccount(userId) {
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.findFirst({
+      where: { id: userId, deletionScheduledAt: { lte: new Date() } },
+      select: { id: true }
+    });
+    if (!user) return false;
+
+    await tx.playlistCollaborator.deleteMany({ where: { userId } });
+    await tx.vibeQueueVote.deleteMany({ where: { userId } });
+    await tx.vibeSkipVote.deleteMany({ where: { userId } });
+    await tx.user.delete({ where: { id: userId } });
+    return true;
+  });
+}
+
+// Delete every account whose grace period is over
+export async function purgeDeletedAccounts() {
+  const due = await prisma.user.findMany({
+    where: { deletionScheduledAt: { lte: new Date() } },
+    select: { id: true }
+  });
+
+  let purged = 0;
+  for (const { id } of due) {
+    try {
+      if (await purgeAccount(id)) purged++;
+    } catch (err) {
+      console.error(`Failed to delete account ${id}:`, err);
+    }
+  }
+  return purged;
+}
+
+let purgeTimer = null;
+
+async function runPurge() {
+  try {
+    const purged = await purgeDeletedAccounts();
+    if (purged > 0) console.log(`Deleted ${purged} account(s) after the grace period`);
+  } catch (err) {
+    console.error('Account purge failed:', err);
+  }
+}
+
+export function startAccountPurge() {
+  if (purgeTimer) return;
+  runPurge();
+  purgeTimer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+}
+
+export function stopAccountPurge() {
+  if (purgeTimer) clearInterval(purgeTimer);
+  purgeTimer = null;
+}
@@ -0,0 +1,211 @@
+import { PrismaClient } from '@prisma/client';
+import { createZip } from './zip.js';
+
+const prisma = new PrismaClient();
+
+const userRef = { select: { id: true, fullname: true } };
+const sessionRef = { select: { id: true, name: true } };
+
+// Everything stored for a user, grouped the way GET /api/user/export returns
+// it. Secrets (password hash, session and device tokens) are left out.
+export async function collectAccountData(userId) {
+  const byUser = { where: { userId } };
+
+  const [
+    profile,
+    settings,
+    likedSongs,
+    likedAlbums,
+    likedArtists,
+    likedPlaylists,
+    playlists,
+    collaborations,
+    playHistory,
+    searchHistory,
+    recentlyPlayed,
+    following,
+    followers,
+    vibeSessions,
+    vibeParticipation,
+    vibeMessages,
+    vibeQueuedSongs,
+    vibeInvitationsSent,
+    vibeInvitationsReceived
+  ] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        fullname: true,
+        email: true,
+        verified: true,
+        bio: true,
+        mobile: true,
+        language: true,
+        avatar: true,
+        lastSeen: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    }),
+    prisma.userSettings.findUnique(byUser),
+    prisma.likedSong.findMany({ ...byUser, orderBy: { createdAt: 'asc' } }),
+    prisma.likedAlbum.findMany({ ...byUser, orderBy: { createdAt: 'asc' } }),
+    prisma.likedArtist.findMany({ ...byUser, orderBy: { createdAt: 'asc' } }),
+    prisma.likedPlaylist.findMany({ ...byUser, orderBy: { createdAt: 'asc' } }),
+    prisma.playlist.findMany({
+      ...byUser,
+      include: {
+        songs: { orderBy: { rank: 'asc' } },
+        collaborators: true,
+        source: true
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.playlistCollaborator.findMany({
+      ...byUser,
+      include: { playlist: { select: { id: true, name: true, userId: true } } }
+    }),
+    prisma.playHistory.findMany({ ...byUser, orderBy: { playedAt: 'asc' } }),
+    prisma.searchHistory.findMany({ ...byUser, orderBy: { searchedAt: 'asc' } }),
+    prisma.recentlyPlayed.findMany({ ...byUser, orderBy: { position: 'asc' } }),
+    prisma.follow.findMany({
+      where: { followerId: userId },
+      select: { createdAt: true, following: userRef },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.follow.findMany({
+      where: { followingId: userId },
+      select: { createdAt: true, follower: userRef },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.vibeSession.findMany({
+      where: { creatorId: userId },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        isPublic: true,
+        queueMode: true,
+        startedAt: true,
+        endedAt: true,
+        isActive: true
+      },
+      orderBy: { startedAt: 'asc' }
+    }),
+    prisma.vibeParticipant.findMany({
+      ...byUser,
+      select: { role: true, joinedAt: true, leftAt: true, session: sessionRef },
+      orderBy: { joinedAt: 'asc' }
+    }),
+    prisma.vibeMessage.findMany({
+      where: { userId, deletedAt: null },
+      select: { id: true, type: true, content: true, songId: true, createdAt: true, session: sessionRef },
+      orderBy: { id: 'asc' }
+    }),
+    prisma.vibeQueue.findMany({
+      where: { addedBy: userId },
+      select: { songId: true, songName: true, artistName: true, addedAt: true, session: sessionRef },
+      orderBy: { addedAt: 'asc' }
+    }),
+    prisma.vibeInvitation.findMany({
+      where: { invitedBy: userId },
+      select: { status: true, createdAt: true, session: sessionRef, invitedUser: userRef },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.vibeInvitation.findMany({
+      where: { invitedUserId: userId },
+      select: { status: true, createdAt: true, session: sessionRef, inviter: userRef },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    settings,
+    library: { likedSongs, likedAlbums, likedArtists, likedPlaylists },
+    playlists,
+    collaborations,
+    playHistory,
+    searchHistory,
+    recentlyPlayed,
+    social: {
+      following: following.map(({ createdAt, following: user }) => ({ ...user, followedAt: createdAt })),
+      followers: followers.map(({ createdAt, follower: user }) => ({ ...user, followedAt: createdAt }))
+    },
+    vibes: {
+      sessionsCreated: vibeSessions,
+      participation: vibeParticipation,
+      messages: vibeMessages,
+      queuedSongs: vibeQueuedSongs,
+      invitationsSent: vibeInvitationsSent,
+      invitationsReceived: vibeInvitationsReceived
+    }
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Nested objects become prefixed columns (session.name -> session_name)
+function flattenRow(row, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(row)) {
+    const column = prefix ? `${prefix}_${key}` : key;
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+      Object.assign(flat, flattenRow(value, column));
+    } else {
+      flat[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  }
+  return flat;
+}
+
+export function toCSV(rows) {
+  if (rows.length === 0) return '';
+  const flatRows = rows.map((row) => flattenRow(row));
+  const headers = [...new Set(flatRows.flatMap((row) => Object.keys(row)))];
+  const lines = [headers.map(csvValue).join(',')];
+  for (const row of flatRows) {
+    lines.push(headers.map((header) => csvValue(row[header])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// One CSV per table, zipped. Playlist songs and collaborators get their own
+// files keyed by playlistId.
+export function createCsvArchive(data) {
+  const playlists = data.playlists.map(({ songs, collaborators, ...playlist }) => playlist);
+  const playlistSongs = data.playlists.flatMap((playlist) => playlist.songs);
+  const playlistCollaborators = data.playlists.flatMap((playlist) => playlist.collaborators);
+
+  const tables = {
+    'profile.csv': data.profile ? [data.profile] : [],
+    'settings.csv': data.settings ? [data.settings] : [],
+    'liked_songs.csv': data.library.likedSongs,
+    'liked_albums.csv': data.library.likedAlbums,
+    'liked_artists.csv': data.library.likedArtists,
+    'liked_playlists.csv': data.library.likedPlaylists,
+    'playlists.csv': playlists,
+    'playlist_songs.csv': playlistSongs,
+    'playlist_collaborators.csv': playlistCollaborators,
+    'collaborations.csv': data.collaborations,
+    'play_history.csv': data.playHistory,
+    'search_history.csv': data.searchHistory,
+    'recently_played.csv': data.recentlyPlayed,
+    'following.csv': data.social.following,
+    'followers.csv': data.social.followers,
+    'vibe_sessions.csv': data.vibes.sessionsCreated,
+    'vibe_participation.csv': data.vibes.participation,
+    'vibe_messages.csv': data.vibes.messages,
+    'vibe_queued_songs.csv': data.vibes.queuedSongs,
+    'vibe_invitations_sent.csv': data.vibes.invitationsSent,
+    'vibe_invitations_received.csv': data.vibes.invitationsReceived
+  };
+
+  return createZip(Object.entries(tables).map(([name, rows]) => ({ name, data: toCSV(rows) })));
+}
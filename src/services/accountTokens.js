@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Lifetimes in seconds
+export const ACCOUNT_TOKEN_TTL = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL || '3600', 10), // 1 hour
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL || '172800', 10), // 2 days
+  account_deletion: 900 // 15 minutes to confirm
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a new token of `type` for the user. Earlier unused tokens of the
+// same type stop working, so only the latest mail's link is valid.
+export async function createAccountToken(userId, type) {
+  if (!ACCOUNT_TOKEN_TTL[type]) throw new Error(`Unknown account token type: ${type}`);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await prisma.$transaction([
+    prisma.accountToken.deleteMany({ where: { userId, type, usedAt: null } }),
+    prisma.accountToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ACCOUNT_TOKEN_TTL[type] * 1000)
+      }
+    })
+  ]);
+  return token;
+}
+
+// Use up a token and return its user id, or null when the token is unknown,
+// expired or already used. The conditional update keeps it single-use even
+// when the same link is submitted twice at once.
+export async function consumeAccountToken(token, type) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const tokenHash = hashToken(token);
+  const { count } = await prisma.accountToken.updateMany({
+    where: { tokenHash, type, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() }
+  });
+  if (count === 0) return null;
+
+  const accountToken = await prisma.accountToken.findUnique({
+    where: { tokenHash },
+    select: { userId: true }
+  });
+  return accountToken.userId;
+}
+
+// Drop outstanding tokens, e.g. reset links once the password changed
+export async function revokeAccountTokens(userId, type) {
+  const { count } = await prisma.accountToken.deleteMany({ where: { userId, type, usedAt: null } });
+  return count;
+}
@@ -0,0 +1,230 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// A play counts as "live" for this long when the song duration is unknown
+const NOW_PLAYING_WINDOW_MS = 10 * 60 * 1000;
+
+// Only the latest play of each user is shown; older plays are folded away so
+// one busy listener cannot fill the feed with stale "now playing" items.
+async function findLatestPlays(args, userIds) {
+  const latest = await prisma.playHistory.groupBy({
+    by: ['userId'],
+    where: { userId: { in: userIds } },
+    _max: { playedAt: true }
+  });
+  if (latest.length === 0) return [];
+
+  return prisma.playHistory.findMany({
+    ...args,
+    where: {
+      AND: [
+        args.where,
+        { OR: latest.map(({ userId, _max }) => ({ userId, playedAt: _max.playedAt })) }
+      ]
+    }
+  });
+}
+
+// Feed sources, in the order used to break ties between equal timestamps.
+// `audience` picks which followed users' privacy flag applies.
+const SOURCES = [
+  {
+    type: 'now_playing',
+    audience: 'activity',
+    timeField: 'playedAt',
+    find: findLatestPlays,
+    toData: (row, now) => ({
+      songId: row.songId,
+      songName: row.songName,
+      artistName: row.artistName,
+      albumName: row.albumName,
+      imageUrl: row.imageUrl,
+      isLive: now - row.playedAt.getTime() <
+        (row.duration ? row.duration * 1000 : NOW_PLAYING_WINDOW_MS)
+    })
+  },
+  {
+    type: 'vibe_started',
+    audience: 'activity',
+    timeField: 'startedAt',
+    userField: 'creatorId',
+    find: (args, userIds) => prisma.vibeSession.findMany({
+      ...args,
+      where: { ...args.where, creatorId: { in: userIds }, isPublic: true }
+    }),
+    toData: (row) => ({
+      sessionId: row.id,
+      name: row.name,
+      description: row.description,
+      isActive: row.isActive
+    })
+  },
+  {
+    type: 'playlist_created',
+    audience: 'playlists',
+    timeField: 'createdAt',
+    find: (args, userIds) => prisma.playlist.findMany({
+      ...args,
+      where: { ...args.where, userId: { in: userIds }, isPublic: true }
+    }),
+    toData: (row) => ({
+      playlistId: row.id,
+      name: row.name,
+      description: row.description,
+      imageUrl: row.imageUrl
+    })
+  },
+  {
+    type: 'liked_song',
+    audience: 'activity',
+    timeField: 'createdAt',
+    find: (args, userIds) => prisma.likedSong.findMany({
+      ...args,
+      where: { ...args.where, userId: { in: userIds } }
+    }),
+    toData: (row) => ({
+      songId: row.songId,
+      songName: row.songName,
+      artistName: row.artistName,
+      albumName: row.albumName,
+      imageUrl: row.imageUrl
+    })
+  },
+  {
+    type: 'liked_album',
+    audience: 'activity',
+    timeField: 'createdAt',
+    find: (args, userIds) => prisma.likedAlbum.findMany({
+      ...args,
+      where: { ...args.where, userId: { in: userIds } }
+    }),
+    toData: (row) => ({
+      albumId: row.albumId,
+      albumName: row.albumName,
+      artistName: row.artistName,
+      imageUrl: row.imageUrl
+    })
+  },
+  {
+    type: 'liked_artist',
+    audience: 'activity',
+    timeField: 'createdAt',
+    find: (args, userIds) => prisma.likedArtist.findMany({
+      ...args,
+      where: { ...args.where, userId: { in: userIds } }
+    }),
+    toData: (row) => ({
+      artistId: row.artistId,
+      artistName: row.artistName,
+      imageUrl: row.imageUrl
+    })
+  }
+];
+
+const RANKS = new Map(SOURCES.map((source, rank) => [source.type, rank]));
+
+// Cursors point at the last item of a page: its time, source and row id
+export function encodeFeedCursor(item) {
+  const [type, id] = item.id.split(':');
+  return Buffer.from(JSON.stringify({
+    t: item.createdAt.getTime(),
+    r: RANKS.get(type),
+    id: parseInt(id)
+  })).toString('base64url');
+}
+
+export function decodeFeedCursor(cursor) {
+  try {
+    const { t, r, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Number.isFinite(t) || !Number.isInteger(r) || !Number.isInteger(id)) return null;
+    return { time: new Date(t), rank: r, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Rows of one source that sort after the cursor: older, or equally old and
+// later in the (rank, id desc) tie-break order.
+function afterCursor(source, rank, cursor) {
+  if (!cursor) return {};
+  const { timeField } = source;
+  if (rank < cursor.rank) return { [timeField]: { lt: cursor.time } };
+  if (rank > cursor.rank) return { [timeField]: { lte: cursor.time } };
+  return {
+    OR: [
+      { [timeField]: { lt: cursor.time } },
+      { [timeField]: cursor.time, id: { lt: cursor.id } }
+    ]
+  };
+}
+
+function compareItems(a, b) {
+  return b.createdAt - a.createdAt ||
+    RANKS.get(a.type) - RANKS.get(b.type) ||
+    b.rowId - a.rowId;
+}
+
+// Activity of the users `userId` follows, newest first. Users who turned off
+// `showActivity` only contribute public playlists, and those only when
+// `showPlaylists` is on.
+export async function getActivityFeed(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const take = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const follows = await prisma.follow.findMany({
+    where: { followerId: userId },
+    select: {
+      following: {
+        select: {
+          id: true,
+          fullname: true,
+          avatar: true,
+          userSettings: { select: { showActivity: true, showPlaylists: true } }
+        }
+      }
+    }
+  });
+
+  // Users without a settings row get the schema defaults (both on)
+  const audiences = { activity: [], playlists: [] };
+  const usersById = new Map();
+  for (const { following: user } of follows) {
+    const { userSettings, ...profile } = user;
+    usersById.set(user.id, profile);
+    if (userSettings?.showActivity !== false) audiences.activity.push(user.id);
+    if (userSettings?.showPlaylists !== false) audiences.playlists.push(user.id);
+  }
+
+  const now = Date.now();
+  const batches = await Promise.all(SOURCES.map(async (source, rank) => {
+    const userIds = audiences[source.audience];
+    if (userIds.length === 0) return [];
+
+    // Each source can fill a whole page on its own, so fetch one page (+1)
+    const rows = await source.find({
+      where: afterCursor(source, rank, cursor),
+      orderBy: [{ [source.timeField]: 'desc' }, { id: 'desc' }],
+      take: take + 1
+    }, userIds);
+
+    return rows.map((row) => ({
+      id: `${source.type}:${row.id}`,
+      rowId: row.id,
+      type: source.type,
+      createdAt: row[source.timeField],
+      user: usersById.get(row[source.userField || 'userId']),
+      data: source.toData(row, now)
+    }));
+  }));
+
+  const merged = batches.flat().sort(compareItems);
+  const page = merged.slice(0, take);
+  const hasMore = merged.length > take;
+
+  return {
+    items: page.map(({ rowId, ...item }) => item),
+    nextCursor: hasMore ? encodeFeedCursor(page[page.length - 1]) : null
+  };
+}
@@ -0,0 +1,65 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Blocking works both ways: neither user can find, follow or invite the other.
+
+export async function isBlockedBetween(userId, otherUserId) {
+  const block = await prisma.block.findFirst({
+    where: {
+      OR: [
+        { blockerId: userId, blockedId: otherUserId },
+        { blockerId: otherUserId, blockedId: userId }
+      ]
+    },
+    select: { id: true }
+  });
+  return !!block;
+}
+
+// Ids of everyone `userId` blocked or was blocked by
+export async function getBlockedUserIds(userId) {
+  const blocks = await prisma.block.findMany({
+    where: {
+      OR: [{ blockerId: userId }, { blockedId: userId }]
+    },
+    select: { blockerId: true, blockedId: true }
+  });
+  return blocks.map((block) => (block.blockerId === userId ? block.blockedId : block.blockerId));
+}
+
+// Block a user and undo the ties between the two accounts: follows in both
+// directions, open follow requests, and collaborations on the blocker's playlists
+export async function blockUser(blockerId, blockedId) {
+  return prisma.$transaction(async (tx) => {
+    const block = await tx.block.upsert({
+      where: { blockerId_blockedId: { blockerId, blockedId } },
+      update: {},
+      create: { blockerId, blockedId }
+    });
+
+    await tx.follow.deleteMany({
+      where: {
+        OR: [
+          { followerId: blockerId, followingId: blockedId },
+          { followerId: blockedId, followingId: blockerId }
+        ]
+      }
+    });
+
+    await tx.followRequest.deleteMany({
+      where: {
+        OR: [
+          { requesterId: blockerId, targetId: blockedId },
+          { requesterId: blockedId, targetId: blockerId }
+        ]
+      }
+    });
+
+    await tx.playlistCollaborator.deleteMany({
+      where: { userId: blockedId, playlist: { userId: blockerId } }
+    });
+
+    return block;
+  });
+}
@@ -0,0 +1,148 @@
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { JWT_SECRET } from './tokenService.js';
+import { EMAIL_TEMPLATES } from './emailTemplates.js';
+import { createSmtpTransport, createMaildirTransport } from './mailTransports.js';
+import { ACCOUNT_TOKEN_TTL } from './accountTokens.js';
+
+const prisma = new PrismaClient();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Diya <no-reply@diya.app>';
+const API_BASE_URL = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 4000}`;
+// Links opened by the app (deep links by default)
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'diya://app').replace(/\/$/, '');
+
+// UserSettings flag an unsubscribe link may turn off, per kind of email
+export const EMAIL_SETTINGS = {
+  notification: 'emailNotifications',
+  weekly_digest: 'weeklyDigestEmail'
+};
+
+function resolveTransport() {
+  const name = process.env.MAIL_TRANSPORT ||
+    (process.env.SMTP_URL || process.env.SMTP_HOST ? 'smtp' : 'maildir');
+  if (name === 'smtp') return createSmtpTransport();
+  if (name !== 'maildir') {
+    console.warn(`Unknown MAIL_TRANSPORT "${name}", using maildir transport`);
+  }
+  return createMaildirTransport();
+}
+
+let transport = null;
+
+export function getMailTransport() {
+  if (!transport) transport = resolveTransport();
+  return transport;
+}
+
+// Swap the transport, e.g. a maildir in a temporary directory in tests
+export function setMailTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+// Signed, non-expiring token for the unsubscribe link of one kind of email
+export function createUnsubscribeToken(userId, kind) {
+  if (!EMAIL_SETTINGS[kind]) throw new Error(`Unknown email kind: ${kind}`);
+  return jwt.sign({ userId, kind, type: 'unsubscribe' }, JWT_SECRET);
+}
+
+export function verifyUnsubscribeToken(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type !== 'unsubscribe' || !EMAIL_SETTINGS[decoded.kind]) return null;
+    return { userId: decoded.userId, kind: decoded.kind, setting: EMAIL_SETTINGS[decoded.kind] };
+  } catch (err) {
+    return null;
+  }
+}
+
+export function unsubscribeUrl(userId, kind) {
+  return `${API_BASE_URL}/api/user/unsubscribe?token=${createUnsubscribeToken(userId, kind)}`;
+}
+
+// Turn off the setting behind an unsubscribe token; returns what was changed
+export async function unsubscribe(token) {
+  const target = verifyUnsubscribeToken(token);
+  if (!target) return null;
+
+  await prisma.userSettings.upsert({
+    where: { userId: target.userId },
+    update: { [target.setting]: false },
+    create: { userId: target.userId, [target.setting]: false }
+  });
+  return target;
+}
+
+// Render `template` for `user` ({ id, email, fullname }) and send it. Mails
+// of a `kind` carry an unsubscribe link for it, also as List-Unsubscribe
+// headers so mail clients can offer one-click unsubscribe.
+export async function sendEmail(user, template, data, { kind } = {}) {
+  const render = EMAIL_TEMPLATES[template];
+  if (!render) throw new Error(`Unknown email template: ${template}`);
+
+  const link = kind ? unsubscribeUrl(user.id, kind) : null;
+  const { subject, text, html } = render({ recipientName: user.fullname, ...data, unsubscribeUrl: link });
+
+  return getMailTransport().send({
+    from: MAIL_FROM,
+    to: user.email,
+    subject,
+    text,
+    html,
+    ...(link && {
+      headers: {
+        'List-Unsubscribe': `<${link}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    })
+  });
+}
+
+export async function sendVerificationEmail(user, token) {
+  return sendEmail(user, 'verifyEmail', {
+    verifyUrl: `${APP_BASE_URL}/verify-email?token=${token}`
+  });
+}
+
+export async function sendPasswordResetEmail(user, token) {
+  return sendEmail(user, 'passwordReset', {
+    resetUrl: `${APP_BASE_URL}/reset-password?token=${token}`,
+    expiresInMinutes: Math.round(ACCOUNT_TOKEN_TTL.password_reset / 60)
+  });
+}
+
+// Immediate invitation mails for users who allow notification emails and
+// vibe invites. Never throws: a failed mail must not fail the invite.
+export async function sendVibeInviteEmails(userIds, { inviterName, sessionId, sessionName }) {
+  try {
+    if (userIds.length === 0) return 0;
+
+    const recipients = await prisma.user.findMany({
+      where: {
+        id: { in: userIds },
+        OR: [
+          { userSettings: null },
+          { userSettings: { emailNotifications: true, vibeInviteNotif: true } }
+        ]
+      },
+      select: { id: true, email: true, fullname: true }
+    });
+
+    const results = await Promise.allSettled(recipients.map((user) =>
+      sendEmail(user, 'vibeInvite', {
+        inviterName,
+        sessionName,
+        sessionUrl: `${APP_BASE_URL}/vibe/${sessionId}`
+      }, { kind: 'notification' })
+    ));
+
+    const failed = results.filter((result) => result.status === 'rejected');
+    if (failed.length > 0) {
+      console.error(`Failed to send ${failed.length} vibe invite email(s):`, failed[0].reason);
+    }
+    return results.length - failed.length;
+  } catch (err) {
+    console.error('Failed to send vibe invite emails:', err);
+    return 0;
+  }
+}
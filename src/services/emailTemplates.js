@@ -0,0 +1,128 @@
+// Email templates: each takes the template data and returns
+// { subject, text, html }. The email service adds `data.unsubscribeUrl` to
+// notification mails; account mails (reset, verification) have none.
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout({ title, body, unsubscribeUrl, unsubscribeLabel, footer }) {
+  const footerHtml = unsubscribeUrl
+    ? `You are receiving this email because of your Diya notification settings.
+      <a href="${escapeHtml(unsubscribeUrl)}" style="color: #888;">${escapeHtml(unsubscribeLabel)}</a>`
+    : escapeHtml(footer);
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2 style="margin-top: 0;">${escapeHtml(title)}</h2>
+    ${body}
+    <p style="font-size: 12px; color: #888; margin-top: 32px;">
+      ${footerHtml}
+    </p>
+  </body>
+</html>`;
+}
+
+function footerText(unsubscribeUrl, unsubscribeLabel) {
+  return `\n\n--\n${unsubscribeLabel}: ${unsubscribeUrl}\n`;
+}
+
+function button(url, label) {
+  return `<p><a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: #6c3ce1; color: #fff; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+export const EMAIL_TEMPLATES = {
+  verifyEmail({ recipientName, verifyUrl }) {
+    const footer = 'If you did not create a Diya account, you can ignore this email.';
+    return {
+      subject: 'Confirm your email address',
+      text: `Hi ${recipientName},\n\nPlease confirm your email address for Diya:\n${verifyUrl}\n\n${footer}\n`,
+      html: layout({
+        title: 'Confirm your email address',
+        body: `<p>Hi ${escapeHtml(recipientName)},</p>
+    <p>Please confirm that this is your email address.</p>
+    ${button(verifyUrl, 'Confirm email')}`,
+        footer
+      })
+    };
+  },
+
+  passwordReset({ recipientName, resetUrl, expiresInMinutes }) {
+    const footer = 'If you did not ask to reset your password, you can ignore this email; your password stays the same.';
+    return {
+      subject: 'Reset your Diya password',
+      text: `Hi ${recipientName},\n\nUse this link to choose a new password. It expires in ${expiresInMinutes} minutes and works once:\n${resetUrl}\n\n${footer}\n`,
+      html: layout({
+        title: 'Reset your password',
+        body: `<p>Hi ${escapeHtml(recipientName)},</p>
+    <p>Use the button below to choose a new password. The link expires in ${expiresInMinutes} minutes and works once.</p>
+    ${button(resetUrl, 'Reset password')}`,
+        footer
+      })
+    };
+  },
+
+  vibeInvite({ recipientName, inviterName, sessionName, sessionUrl, unsubscribeUrl }) {
+    const unsubscribeLabel = 'Stop notification emails';
+    return {
+      subject: `${inviterName} invited you to "${sessionName}" on Diya`,
+      text: `Hi ${recipientName},\n\n${inviterName} invited you to listen together in "${sessionName}".\n\nJoin the session: ${sessionUrl}` +
+        footerText(unsubscribeUrl, unsubscribeLabel),
+      html: layout({
+        title: 'You are invited to a vibe session',
+        body: `<p>Hi ${escapeHtml(recipientName)},</p>
+    <p><strong>${escapeHtml(inviterName)}</strong> invited you to listen together in <strong>${escapeHtml(sessionName)}</strong>.</p>
+    ${button(sessionUrl, 'Join the session')}`,
+        unsubscribeUrl,
+        unsubscribeLabel
+      })
+    };
+  },
+
+  weeklyDigest({ recipientName, totalStats, topArtists, topSongs, listeningStreaks, unsubscribeUrl }) {
+    const unsubscribeLabel = 'Unsubscribe from the weekly digest';
+    const listeningTime = formatMinutes(totalStats.totalListeningTime);
+    const streakLine = listeningStreaks.currentStreak > 0
+      ? `You are on a ${listeningStreaks.currentStreak}-day listening streak (longest: ${plural(listeningStreaks.longestStreak, 'day')}).`
+      : `Your longest recent streak was ${plural(listeningStreaks.longestStreak, 'day')}.`;
+
+    const artistLines = topArtists.map((artist, index) => `${index + 1}. ${artist.name} (${artist.playCount} plays)`);
+    const songLines = topSongs.map((song, index) => `${index + 1}. ${song.name} - ${song.artist} (${song.playCount} plays)`);
+
+    const htmlList = (items) => `<ol>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ol>`;
+
+    return {
+      subject: `Your week on Diya: ${totalStats.totalPlays} plays, ${listeningTime}`,
+      text: `Hi ${recipientName},\n\nThis week you played ${totalStats.totalPlays} songs for ${listeningTime}.\n${streakLine}\n\n` +
+        `Top artists\n${artistLines.join('\n')}\n\nTop songs\n${songLines.join('\n')}` +
+        footerText(unsubscribeUrl, unsubscribeLabel),
+      html: layout({
+        title: 'Your week in music',
+        body: `<p>Hi ${escapeHtml(recipientName)},</p>
+    <p>This week you played <strong>${totalStats.totalPlays}</strong> songs for <strong>${escapeHtml(listeningTime)}</strong>.</p>
+    <p>${escapeHtml(streakLine)}</p>
+    <h3>Top artists</h3>
+    ${htmlList(topArtists.map((artist) => `${artist.name} (${artist.playCount} plays)`))}
+    <h3>Top songs</h3>
+    ${htmlList(topSongs.map((song) => `${song.name} - ${song.artist} (${song.playCount} plays)`))}`,
+        unsubscribeUrl,
+        unsubscribeLabel
+      })
+    };
+  }
+};
@@ -0,0 +1,120 @@
+// Fractional indexing: order keys are base-36 fractions written as strings
+// ('i' = 0.5, '0i' = 0.0138...), compared as plain strings (byte order). A
+// key can always be found between two others, so moving an item only
+// rewrites that item. Keys never end in '0', which keeps room below them.
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+// Key between `a` ('' = 0) and `b` (null = 1), assuming a < b
+function midpoint(a, b) {
+  if (b !== null) {
+    // Keep the common prefix (a is padded with zeros)
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : BASE;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // Consecutive first digits: a shorter b is already above the middle
+  if (b !== null && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+export function isValidRank(key) {
+  return typeof key === 'string' && /^[0-9a-z]*[1-9a-z]$/.test(key);
+}
+
+// Key strictly between `before` and `after`; either may be null for the
+// start or end of the list
+export function rankBetween(before, after) {
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Invalid rank range: ${before} >= ${after}`);
+  }
+  return midpoint(before ?? '', after ?? null);
+}
+
+// Next key after `key` for appending. Steps the last digit, so keys grow by a
+// character every few dozen appends instead of every few like midpoints do.
+export function rankAfter(key) {
+  const last = DIGITS.indexOf(key[key.length - 1]);
+  return last < BASE - 1 ? key.slice(0, -1) + DIGITS[last + 1] : `${key}i`;
+}
+
+// `count` evenly spaced keys of the same length, for (re)numbering a list
+export function rankSequence(count) {
+  let width = 1;
+  while (BASE ** width <= count + 1) width++;
+
+  const step = Math.floor(BASE ** width / (count + 1));
+  return Array.from({ length: count }, (_, index) =>
+    ((index + 1) * step).toString(BASE).padStart(width, '0').replace(/0+$/, '')
+  );
+}
+
+// `count` keys between `before` and `after`, split evenly so their length
+// grows with log(count) rather than count
+export function ranksBetween(before, after, count) {
+  if (count <= 0) return [];
+  const middle = Math.floor(count / 2);
+  const rank = rankBetween(before, after);
+  return [
+    ...ranksBetween(before, rank, middle),
+    rank,
+    ...ranksBetween(rank, after, count - middle - 1)
+  ];
+}
+
+// Indexes of the longest run of `ranks` that is already in increasing order
+function longestOrderedRun(ranks) {
+  const tails = [];
+  const previous = [];
+
+  ranks.forEach((rank, index) => {
+    if (rank === null) return;
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (ranks[tails[mid]] < rank) low = mid + 1;
+      else high = mid;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const run = new Set();
+  for (let index = tails.length ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) {
+    run.add(index);
+  }
+  return run;
+}
+
+// Keys for a list in its new order, given each item's current key (null for
+// new items). The longest run still in order keeps its keys and everything
+// else gets a fresh key between its neighbours, so a small change to a long
+// list only rewrites a few items.
+export function reassignRanks(ranks) {
+  const keep = longestOrderedRun(ranks);
+  const result = [];
+
+  let index = 0;
+  while (index < ranks.length) {
+    if (keep.has(index)) {
+      result.push(ranks[index++]);
+      continue;
+    }
+    let end = index;
+    while (end < ranks.length && !keep.has(end)) end++;
+    const before = result.length ? result[result.length - 1] : null;
+    const after = end < ranks.length ? ranks[end] : null;
+    result.push(...ranksBetween(before, after, end - index));
+    index = end;
+  }
+  return result;
+}
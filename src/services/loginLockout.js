@@ -0,0 +1,64 @@
+import { getRateLimitStore } from './rateLimit.js';
+
+// Progressive lockout for failed logins. Failures are counted per account and
+// client IP, so guessing from one place locks that place out without letting
+// anyone lock the real owner out of their account. From the
+// LOGIN_LOCKOUT_THRESHOLD-th failure on, each failure locks for twice as long
+// as the previous one, up to LOGIN_LOCKOUT_MAX_MS.
+
+const THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10);
+const BASE_LOCK_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_MS || '60000', 10); // 1 minute
+const MAX_LOCK_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MS || '3600000', 10); // 1 hour
+// Failures are forgotten after a day without a successful login
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function keys(email, ip) {
+  const id = `${String(email).trim().toLowerCase()}:${ip}`;
+  return { failures: `login-failures:${id}`, lock: `login-lock:${id}` };
+}
+
+// Store errors are logged and ignored, like in rateLimit: an outage must not
+// turn every login into a 500.
+function logStoreError(action, err) {
+  console.error(`Login lockout store failed to ${action}:`, err.message);
+}
+
+// Milliseconds until the lock for this account and IP ends (0 = not locked)
+export async function getLoginLockout(email, ip) {
+  try {
+    const lock = await getRateLimitStore().get(keys(email, ip).lock);
+    return lock ? Math.max(lock.resetAt - Date.now(), 0) : 0;
+  } catch (err) {
+    logStoreError('read the lock', err);
+    return 0;
+  }
+}
+
+// Count a failed login; returns how long further attempts are now locked
+export async function recordLoginFailure(email, ip) {
+  const store = getRateLimitStore();
+  const { failures, lock } = keys(email, ip);
+
+  try {
+    const { count } = await store.increment(failures, FAILURE_WINDOW_MS);
+    if (count < THRESHOLD) return 0;
+
+    const lockMs = Math.min(BASE_LOCK_MS * 2 ** (count - THRESHOLD), MAX_LOCK_MS);
+    await store.reset(lock);
+    await store.increment(lock, lockMs);
+    return lockMs;
+  } catch (err) {
+    logStoreError('record a failure', err);
+    return 0;
+  }
+}
+
+export async function clearLoginFailures(email, ip) {
+  const store = getRateLimitStore();
+  const { failures, lock } = keys(email, ip);
+  try {
+    await Promise.all([store.reset(failures), store.reset(lock)]);
+  } catch (err) {
+    logStoreError('clear failures', err);
+  }
+}
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Transports deliver a rendered message ({ from, to, subject, text, html,
+// headers }) and return `{ messageId }`. `smtp` talks to a real mail server;
+// `maildir` writes each message as a file so mail can be checked offline.
+
+export function createSmtpTransport() {
+  const transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    })
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+
+    close() {
+      transporter.close();
+    }
+  };
+}
+
+let deliveries = 0;
+
+// Writes messages in maildir layout (tmp/ then renamed into new/), so any
+// mail client or a test can read them back as plain .eml files
+export function createMaildirTransport(dir = process.env.MAILDIR || 'mail-outbox') {
+  // Only renders the raw RFC 822 message, nothing is sent
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'maildir',
+    dir,
+
+    async send(message) {
+      const info = await composer.sendMail(message);
+
+      await fs.promises.mkdir(path.join(dir, 'tmp'), { recursive: true });
+      await fs.promises.mkdir(path.join(dir, 'new'), { recursive: true });
+
+      const fileName = `${Date.now()}.${process.pid}_${++deliveries}.${os.hostname()}`;
+      const tmpPath = path.join(dir, 'tmp', fileName);
+      const newPath = path.join(dir, 'new', fileName);
+      await fs.promises.writeFile(tmpPath, info.message);
+      await fs.promises.rename(tmpPath, newPath);
+
+      return { messageId: info.messageId, path: newPath };
+    }
+  };
+}
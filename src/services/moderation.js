@@ -0,0 +1,114 @@
+import { PrismaClient } from '@prisma/client';
+import { getRateLimitStore } from './rateLimit.js';
+import { ACCESS_TOKEN_TTL } from './tokenService.js';
+
+const prisma = new PrismaClient();
+
+// Roles in increasing order of power. Moderators handle day-to-day abuse
+// (suspensions, unpublishing, ending sessions); bans, role changes, cache
+// control and the audit log are for admins.
+export const USER_ROLES = ['user', 'moderator', 'admin'];
+
+export function hasRole(user, role) {
+  return USER_ROLES.indexOf(user?.role) >= USER_ROLES.indexOf(role);
+}
+
+// Staff can only act on accounts below their own role
+export function outranks(actor, target) {
+  return USER_ROLES.indexOf(actor.role) > USER_ROLES.indexOf(target.role);
+}
+
+// Why an account may not sign in right now, or null. A suspension with an
+// end date lapses on its own.
+export function getAccountRestriction(user, now = new Date()) {
+  if (user.status === 'banned') {
+    return { status: 'banned', reason: user.statusReason, until: null };
+  }
+  if (user.status === 'suspended' && (!user.suspendedUntil || user.suspendedUntil > now)) {
+    return { status: 'suspended', reason: user.statusReason, until: user.suspendedUntil };
+  }
+  return null;
+}
+
+// Prisma filter for users getAccountRestriction() lets through
+export function unrestrictedUserWhere(now = new Date()) {
+  return {
+    OR: [
+      { status: { notIn: ['banned', 'suspended'] } },
+      { status: 'suspended', suspendedUntil: { lte: now } }
+    ]
+  };
+}
+
+// Access tokens are stateless, so suspending or banning a user leaves their
+// current ones valid until they expire. The user id is kept in the rate limit
+// store for one access token lifetime and authenticateToken refuses it.
+function revocationKey(userId) {
+  return `access-revoked:${userId}`;
+}
+
+export async function revokeAccessTokens(userId) {
+  const store = getRateLimitStore();
+  await store.reset(revocationKey(userId));
+  await store.increment(revocationKey(userId), ACCESS_TOKEN_TTL * 1000);
+}
+
+export async function clearAccessRevocation(userId) {
+  await getRateLimitStore().reset(revocationKey(userId));
+}
+
+// Fails open like rateLimit: a store outage must not sign everyone out
+export async function isAccessRevoked(userId) {
+  try {
+    return !!(await getRateLimitStore().get(revocationKey(userId)));
+  } catch (err) {
+    console.error('Access revocation check failed:', err.message);
+    return false;
+  }
+}
+
+// Current restriction of an account by id, or null (also for unknown ids)
+export async function findAccountRestriction(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { status: true, statusReason: true, suspendedUntil: true }
+  });
+  return user ? getAccountRestriction(user) : null;
+}
+
+export function restrictionResponse(restriction) {
+  const error = restriction.status === 'banned'
+    ? 'This account has been banned'
+    : 'This account is suspended';
+  return { error, code: `account_${restriction.status}`, reason: restriction.reason, until: restriction.until };
+}
+
+// Middleware for staff routes, used after authenticateToken. The role is read
+// from the database on every request so a demotion applies immediately.
+export function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { id: true, role: true, status: true, statusReason: true, suspendedUntil: true }
+      });
+
+      if (!user || getAccountRestriction(user) || !hasRole(user, role)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      req.staff = { id: user.id, role: user.role };
+      next();
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+}
+
+// Write an audit log entry. Pass a transaction client as `db` to record the
+// entry atomically with the action itself.
+export function logAdminAction(actorId, action, { targetType = null, targetId = null, reason = null, data } = {}, db = prisma) {
+  return db.adminAuditLog.create({
+    data: { actorId, action, targetType, targetId, reason, data }
+  });
+}
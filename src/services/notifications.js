@@ -0,0 +1,204 @@
+import { PrismaClient } from '@prisma/client';
+import { dispatchPush, getPushTransport } from './push.js';
+
+const prisma = new PrismaClient();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// UserSettings flag that turns each notification type on or off
+export const NOTIFICATION_SETTINGS = {
+  new_follower: 'newFollowerNotif',
+  follow_request: 'newFollowerNotif',
+  vibe_invite: 'vibeInviteNotif',
+  collaborator_invite: 'playlistShareNotif',
+  collaborator_joined: 'playlistShareNotif',
+  playlist_song_added: 'playlistShareNotif'
+};
+
+const actorSelect = { id: true, fullname: true, avatar: true };
+
+// Push text per type. Only fields shared by all recipients may be used, so
+// one notification to many users can go out as a single push batch.
+const PUSH_TEMPLATES = {
+  new_follower: (actor) => ({
+    title: 'New follower',
+    body: `${actor} started following you`
+  }),
+  follow_request: (actor) => ({
+    title: 'Follow request',
+    body: `${actor} wants to follow you`
+  }),
+  vibe_invite: (actor, data) => ({
+    title: 'Vibe invite',
+    body: `${actor} invited you to "${data.sessionName}"`,
+    data: { sessionId: data.sessionId }
+  }),
+  collaborator_invite: (actor, data) => ({
+    title: 'Playlist invite',
+    body: `${actor} invited you to collaborate on "${data.playlistName}"`,
+    data: { playlistId: data.playlistId, invitationId: data.invitationId }
+  }),
+  collaborator_joined: (actor, data) => ({
+    title: data.playlistName,
+    body: `${actor} joined as a collaborator`,
+    data: { playlistId: data.playlistId }
+  }),
+  playlist_song_added: (actor, data) => ({
+    title: data.playlistName,
+    body: data.songCount > 1
+      ? `${actor} added ${data.songCount} songs`
+      : `${actor} added "${data.songName}"`,
+    data: { playlistId: data.playlistId, songId: data.songId }
+  })
+};
+
+function buildPushMessage(notification) {
+  const template = PUSH_TEMPLATES[notification.type];
+  if (!template) return null;
+  const { title, body, data = {} } = template(notification.actor?.fullname || 'Someone', notification.data || {});
+  return { title, body, data: { type: notification.type, ...data } };
+}
+
+let io = null;
+
+export function initNotifications(socketServer) {
+  io = socketServer;
+  // Pick the push transport now so a missing provider is reported at startup
+  getPushTransport();
+}
+
+export function serializeNotification(notification) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    actor: notification.actor || null,
+    data: notification.data,
+    read: !!notification.readAt,
+    readAt: notification.readAt,
+    createdAt: notification.createdAt
+  };
+}
+
+export async function getUnreadCount(userId) {
+  return prisma.notification.count({ where: { userId, readAt: null } });
+}
+
+async function emitToUser(userId, event, payload) {
+  if (!io) return;
+  const unreadCount = await getUnreadCount(userId);
+  io.to(`user-${userId}`).emit(event, { ...payload, unreadCount });
+}
+
+// Users who turned the matching flag off (missing settings = defaults, on)
+async function getMutedUserIds(userIds, type) {
+  const flag = NOTIFICATION_SETTINGS[type];
+  if (!flag) throw new Error(`Unknown notification type: ${type}`);
+
+  const settings = await prisma.userSettings.findMany({
+    where: { userId: { in: userIds }, [flag]: false },
+    select: { userId: true }
+  });
+  return new Set(settings.map((setting) => setting.userId));
+}
+
+// Store a notification for each recipient, push it to their sockets and to
+// their devices. `data` may be a function of the recipient id for per-user
+// details. Never throws: a failed notification must not fail the action
+// behind it.
+export async function notifyUsers(userIds, { type, actorId = null, data = null }) {
+  try {
+    const recipients = [...new Set(userIds)].filter((userId) => userId && userId !== actorId);
+    if (recipients.length === 0) return [];
+
+    const muted = await getMutedUserIds(recipients, type);
+
+    const created = [];
+    const pushGroups = new Map();
+    for (const userId of recipients) {
+      if (muted.has(userId)) continue;
+
+      const notification = await prisma.notification.create({
+        data: { userId, actorId, type, data: typeof data === 'function' ? data(userId) : data },
+        include: { actor: { select: actorSelect } }
+      });
+      const payload = serializeNotification(notification);
+      created.push({ userId, notification: payload });
+
+      await emitToUser(userId, 'notification:new', { notification: payload });
+
+      const message = buildPushMessage(notification);
+      if (message) {
+        const key = JSON.stringify(message);
+        if (!pushGroups.has(key)) pushGroups.set(key, { message, userIds: [] });
+        pushGroups.get(key).userIds.push(userId);
+      }
+    }
+
+    for (const { message, userIds: pushUserIds } of pushGroups.values()) {
+      dispatchPush(pushUserIds, message);
+    }
+    return created;
+  } catch (err) {
+    console.error(`Failed to send ${type} notification:`, err);
+    return [];
+  }
+}
+
+export async function notifyUser(userId, options) {
+  const [created] = await notifyUsers([userId], options);
+  return created?.notification || null;
+}
+
+// Newest first; pass `nextCursor` back as `cursor` for the next page
+export async function listNotifications(userId, { cursor, limit = DEFAULT_PAGE_SIZE, unreadOnly = false } = {}) {
+  const take = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const before = parseInt(cursor);
+
+  const [notifications, unreadCount] = await Promise.all([
+    prisma.notification.findMany({
+      where: {
+        userId,
+        ...(unreadOnly && { readAt: null }),
+        ...(Number.isInteger(before) && { id: { lt: before } })
+      },
+      include: { actor: { select: actorSelect } },
+      orderBy: { id: 'desc' },
+      take: take + 1
+    }),
+    getUnreadCount(userId)
+  ]);
+
+  const hasMore = notifications.length > take;
+  const page = notifications.slice(0, take);
+
+  return {
+    notifications: page.map(serializeNotification),
+    nextCursor: hasMore ? page[page.length - 1].id : null,
+    unreadCount
+  };
+}
+
+// Mark the given notifications (or all when `ids` is omitted) as read and
+// let the user's other devices know
+export async function markNotificationsRead(userId, ids) {
+  const { count } = await prisma.notification.updateMany({
+    where: {
+      userId,
+      readAt: null,
+      ...(ids && { id: { in: ids } })
+    },
+    data: { readAt: new Date() }
+  });
+
+  await emitToUser(userId, 'notification:read', { ids: ids || null, all: !ids });
+  return count;
+}
+
+export async function deleteNotification(userId, id) {
+  const { count } = await prisma.notification.deleteMany({ where: { id, userId } });
+  if (count > 0) {
+    await emitToUser(userId, 'notification:deleted', { id });
+  }
+  return count > 0;
+}
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+
+// OpenID Connect ID token verification. Providers are configured per name
+// through OIDC_<NAME>_CLIENT_ID, OIDC_<NAME>_ISSUER and OIDC_<NAME>_JWKS;
+// the JWKS may be a URL or a local file (handy in tests). Google and Apple
+// have built-in issuer/JWKS defaults, other providers are enabled by listing
+// them in OIDC_PROVIDERS.
+
+const BUILT_IN_PROVIDERS = {
+  google: {
+    issuer: ['https://accounts.google.com', 'accounts.google.com'],
+    jwks: 'https://www.googleapis.com/oauth2/v3/certs'
+  },
+  apple: {
+    issuer: 'https://appleid.apple.com',
+    jwks: 'https://appleid.apple.com/auth/keys'
+  }
+};
+
+const JWKS_CACHE_TTL_MS = parseInt(process.env.OIDC_JWKS_CACHE_TTL || '3600', 10) * 1000;
+// Unknown key ids trigger a refetch (key rotation), but not more often than this
+const JWKS_REFETCH_INTERVAL_MS = 60 * 1000;
+const ALGORITHMS = ['RS256', 'ES256'];
+
+export class OAuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'OAuthError';
+    this.status = status;
+  }
+}
+
+function loadProviders() {
+  const names = new Set([
+    ...Object.keys(BUILT_IN_PROVIDERS),
+    ...(process.env.OIDC_PROVIDERS || '').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean)
+  ]);
+
+  const providers = {};
+  for (const name of names) {
+    const prefix = `OIDC_${name.toUpperCase()}_`;
+    const defaults = BUILT_IN_PROVIDERS[name] || {};
+    const clientIds = (process.env[`${prefix}CLIENT_ID`] || '').split(',').map((id) => id.trim()).filter(Boolean);
+    const issuer = process.env[`${prefix}ISSUER`] || defaults.issuer;
+    const jwks = process.env[`${prefix}JWKS`] || defaults.jwks;
+
+    // A provider without a client id cannot check the token audience
+    if (clientIds.length === 0 || !issuer || !jwks) continue;
+    providers[name] = { name, clientIds, issuer, jwks };
+  }
+  return providers;
+}
+
+let providers = null;
+
+export function getOidcProviders() {
+  if (!providers) providers = loadProviders();
+  return providers;
+}
+
+const jwksCache = new Map();
+
+async function fetchJwks(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await axios.get(source, { timeout: 10000 });
+    return response.data;
+  }
+  const filePath = source.startsWith('file://') ? new URL(source) : source;
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+}
+
+async function getSigningKey(provider, kid) {
+  let cached = jwksCache.get(provider.jwks);
+  const findKey = () => cached?.keys.find((key) => !kid || key.kid === kid);
+
+  const stale = !cached || Date.now() - cached.fetchedAt > JWKS_CACHE_TTL_MS;
+  const canRefetch = !cached || Date.now() - cached.fetchedAt > JWKS_REFETCH_INTERVAL_MS;
+  if (stale || (!findKey() && canRefetch)) {
+    const { keys = [] } = await fetchJwks(provider.jwks);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(provider.jwks, cached);
+  }
+
+  const jwk = findKey();
+  if (!jwk) throw new OAuthError('ID token signed with an unknown key');
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Verify `idToken` from `providerName` and return the identity in it:
+// { provider, subject, email, emailVerified, name, picture }
+export async function verifyIdToken(providerName, idToken, { nonce } = {}) {
+  const provider = getOidcProviders()[providerName];
+  if (!provider) throw new OAuthError(`Unknown login provider: ${providerName}`, 404);
+  if (typeof idToken !== 'string' || !idToken) throw new OAuthError('ID token is required', 400);
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ALGORITHMS.includes(decoded.header.alg)) {
+    throw new OAuthError('Malformed ID token');
+  }
+
+  let key;
+  try {
+    key = await getSigningKey(provider, decoded.header.kid);
+  } catch (err) {
+    if (err instanceof OAuthError) throw err;
+    console.error(`Failed to load JWKS for ${providerName}:`, err);
+    throw new OAuthError('Login provider keys are unavailable', 503);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ALGORITHMS,
+      issuer: provider.issuer,
+      audience: provider.clientIds
+    });
+  } catch (err) {
+    throw new OAuthError(err.name === 'TokenExpiredError' ? 'ID token has expired' : 'Invalid ID token');
+  }
+
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new OAuthError('ID token nonce does not match');
+  }
+  if (!claims.sub) throw new OAuthError('ID token has no subject');
+
+  return {
+    provider: provider.name,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    // Apple sends the flag as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null,
+    picture: claims.picture || null
+  };
+}
@@ -0,0 +1,159 @@
+import { PrismaClient } from '@prisma/client';
+import { getAlbumDetails, getPlaylistDetails, normalizeSaavnSong } from './saavnService.js';
+import { recordPlaylistChange, songSnapshot } from './playlistHistory.js';
+import { SONG_ORDER, withRankRetry, nextSongRanks } from './playlistOrder.js';
+
+const prisma = new PrismaClient();
+
+export const MAX_BATCH_SONGS = 500;
+
+export class PlaylistBatchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PlaylistBatchError';
+    this.status = status;
+  }
+}
+
+function optionalString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// Song fields as stored on PlaylistSong, or null when required ones are missing
+function toPlaylistSong(item) {
+  if (!item || typeof item !== 'object') return null;
+
+  const songId = typeof item.songId === 'number' ? String(item.songId) : optionalString(item.songId);
+  const songName = optionalString(item.songName);
+  const artistName = optionalString(item.artistName);
+  if (!songId || !songName || !artistName) return null;
+
+  const duration = parseInt(item.duration);
+  return {
+    songId,
+    songName,
+    artistName,
+    albumName: optionalString(item.albumName),
+    imageUrl: optionalString(item.imageUrl),
+    duration: Number.isNaN(duration) ? null : duration
+  };
+}
+
+// A Saavn album or playlist with its tracks in PlaylistSong form. `fresh`
+// bypasses the Saavn response cache.
+export async function getSaavnCollection({ albumId, saavnPlaylistId }, { fresh = false } = {}) {
+  const type = albumId ? 'album' : 'playlist';
+  const id = String(albumId || saavnPlaylistId);
+
+  let details;
+  try {
+    details = type === 'album'
+      ? await getAlbumDetails(id, { fresh })
+      : await getPlaylistDetails(id, { limit: MAX_BATCH_SONGS, fresh });
+  } catch (err) {
+    if (err.response?.status !== 404) {
+      throw new PlaylistBatchError('Failed to load songs from Saavn', 502);
+    }
+  }
+
+  if (!details?.id) {
+    throw new PlaylistBatchError(type === 'album' ? 'Album not found' : 'Saavn playlist not found', 404);
+  }
+
+  const images = Array.isArray(details.image) ? details.image : [];
+  return {
+    type,
+    id: String(details.id),
+    name: details.name || details.title || null,
+    description: optionalString(details.description),
+    imageUrl: images[images.length - 1]?.url || null,
+    songs: (details.songs || [])
+      .map(normalizeSaavnSong)
+      .filter(Boolean)
+      .slice(0, MAX_BATCH_SONGS)
+  };
+}
+
+// Append `items` inside the transaction `tx`. Each item gets a result in
+// input order: `added`, `duplicate` (already in the playlist or earlier in the
+// batch) or `invalid`. The whole batch is recorded as a single history change.
+export async function appendSongs(tx, playlistId, userId, items) {
+  const songs = items.map(toPlaylistSong);
+  const songIds = songs.filter(Boolean).map((song) => song.songId);
+
+  const existing = await tx.playlistSong.findMany({
+    where: { playlistId, songId: { in: songIds } },
+    select: { songId: true }
+  });
+  const seen = new Set(existing.map((song) => song.songId));
+
+  const results = [];
+  const added = [];
+  for (const [index, song] of songs.entries()) {
+    if (!song) {
+      results.push({ index, songId: items[index]?.songId ?? null, status: 'invalid', error: 'Song details are required' });
+    } else if (seen.has(song.songId)) {
+      results.push({ index, songId: song.songId, status: 'duplicate' });
+    } else {
+      seen.add(song.songId);
+      added.push(song);
+      results.push({ index, songId: song.songId, status: 'added' });
+    }
+  }
+  if (added.length === 0) return { results, added };
+
+  const offset = await tx.playlistSong.count({ where: { playlistId } });
+  const ranks = await nextSongRanks(tx, playlistId, added.length);
+  const addedAt = new Date();
+  const rows = added.map((song, index) => ({ ...song, playlistId, rank: ranks[index], addedBy: userId, addedAt }));
+
+  await tx.playlistSong.createMany({ data: rows });
+  await recordPlaylistChange(playlistId, userId, 'songs_added', {
+    data: { songs: rows.map((row, index) => ({ song: songSnapshot(row), index: offset + index })) }
+  }, tx);
+
+  return { results, added };
+}
+
+// Append `items` in a transaction of their own
+export async function addSongsToPlaylist(playlistId, userId, items) {
+  if (items.length > MAX_BATCH_SONGS) {
+    throw new PlaylistBatchError(`At most ${MAX_BATCH_SONGS} songs can be added at once`);
+  }
+  return withRankRetry(() => prisma.$transaction((tx) => appendSongs(tx, playlistId, userId, items)));
+}
+
+// Remove several songs in one transaction. Results are `removed` or
+// `not_found`, in input order.
+export async function removeSongsFromPlaylist(playlistId, userId, songIds) {
+  if (songIds.length > MAX_BATCH_SONGS) {
+    throw new PlaylistBatchError(`At most ${MAX_BATCH_SONGS} songs can be removed at once`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const songs = await tx.playlistSong.findMany({
+      where: { playlistId },
+      orderBy: SONG_ORDER
+    });
+    const requested = new Set(songIds);
+    const removed = songs
+      .map((song, index) => ({ song, index }))
+      .filter(({ song }) => requested.has(song.songId));
+
+    if (removed.length > 0) {
+      await tx.playlistSong.deleteMany({
+        where: { playlistId, songId: { in: removed.map(({ song }) => song.songId) } }
+      });
+      await recordPlaylistChange(playlistId, userId, 'songs_removed', {
+        data: { songs: removed.map(({ song, index }) => ({ song: songSnapshot(song), index })) }
+      }, tx);
+    }
+
+    const found = new Set(removed.map(({ song }) => song.songId));
+    return songIds.map((songId, index) => ({
+      index,
+      songId,
+      status: found.has(songId) ? 'removed' : 'not_found'
+    }));
+  });
+}
@@ -0,0 +1,332 @@
+import { PrismaClient } from '@prisma/client';
+import { SONG_ORDER, writeSongOrder } from './playlistOrder.js';
+
+const prisma = new PrismaClient();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Every change to a playlist is stored with enough data to invert it:
+//   song_added / song_removed  { song, index }
+//   songs_added / songs_removed { songs: [{ song, index }] }  (batches)
+//   song_moved                 { songId, fromIndex, toIndex }
+//   songs_reordered            { before, after }       (song id lists)
+//   metadata_updated           { before, after }
+//   restored                   { before, restoredTo }  (before = full state)
+// Indexes are 0-based positions in the ordered song list. Undos are recorded
+// as ordinary changes with `undoOf`, so history only ever grows and any
+// point in it can be restored by reverting newer changes one by one.
+
+export const PLAYLIST_METADATA_FIELDS = ['name', 'description', 'imageUrl', 'isPublic', 'isCollaborative'];
+
+const SONG_FIELDS = ['songId', 'songName', 'artistName', 'albumName', 'imageUrl', 'duration', 'addedBy', 'addedAt'];
+
+export class HistoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HistoryError';
+    this.status = status;
+  }
+}
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.map((field) => [field, source[field] ?? null]));
+}
+
+export function songSnapshot(song) {
+  return pick(song, SONG_FIELDS);
+}
+
+// Ids of the playlist's songs in play order
+export async function getSongOrder(playlistId, db = prisma) {
+  const songs = await db.playlistSong.findMany({
+    where: { playlistId },
+    select: { songId: true },
+    orderBy: SONG_ORDER
+  });
+  return songs.map((song) => song.songId);
+}
+
+// Pass the transaction client as `db` to record the change atomically with it
+export function recordPlaylistChange(playlistId, userId, type, { songId = null, data }, db = prisma) {
+  return db.playlistChange.create({
+    data: { playlistId, userId, type, songId, data }
+  });
+}
+
+// Restores carry a full snapshot; history listings only show its size
+function serializeChange(change) {
+  if (change.type !== 'restored') return change;
+  const { before, ...data } = change.data;
+  return { ...change, data: { ...data, previousSongCount: before.songs.length } };
+}
+
+// Newest first; pass `nextCursor` back as `cursor` for the next page
+export async function listPlaylistChanges(playlistId, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const take = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const before = parseInt(cursor);
+
+  const changes = await prisma.playlistChange.findMany({
+    where: {
+      playlistId,
+      ...(Number.isInteger(before) && { id: { lt: before } })
+    },
+    include: { user: { select: { id: true, fullname: true, avatar: true } } },
+    orderBy: { id: 'desc' },
+    take: take + 1
+  });
+
+  const hasMore = changes.length > take;
+  const page = changes.slice(0, take);
+
+  return {
+    changes: page.map(serializeChange),
+    nextCursor: hasMore ? page[page.length - 1].id : null
+  };
+}
+
+// Current metadata and ordered songs, read under a row lock so concurrent
+// undos and restores of the same playlist run one after another
+async function loadState(tx, playlistId) {
+  await tx.$queryRaw`SELECT id FROM playlists WHERE id = ${playlistId} FOR UPDATE`;
+
+  const playlist = await tx.playlist.findUnique({
+    where: { id: playlistId },
+    include: { songs: { orderBy: SONG_ORDER } }
+  });
+  if (!playlist) throw new HistoryError('Playlist not found', 404);
+
+  return {
+    playlist,
+    state: {
+      metadata: pick(playlist, PLAYLIST_METADATA_FIELDS),
+      songs: playlist.songs.map(songSnapshot)
+    }
+  };
+}
+
+function cloneState(state) {
+  return { metadata: { ...state.metadata }, songs: [...state.songs] };
+}
+
+function clampIndex(index, length) {
+  return Math.min(Math.max(index, 0), length);
+}
+
+// Take batch entries out of `songs`; returns the ones that were there with
+// their indexes before removal
+function removeSongs(songs, entries) {
+  const ids = new Set(entries.map(({ song }) => song.songId));
+  const removed = songs
+    .map((song, index) => ({ song, index }))
+    .filter(({ song }) => ids.has(song.songId));
+  const kept = songs.filter((song) => !ids.has(song.songId));
+  songs.splice(0, songs.length, ...kept);
+  return removed;
+}
+
+// Put batch entries back at their indexes, skipping songs already present;
+// returns the ones inserted
+function insertSongs(songs, entries) {
+  const present = new Set(songs.map((song) => song.songId));
+  const inserted = [];
+  for (const entry of [...entries].sort((a, b) => a.index - b.index)) {
+    if (present.has(entry.song.songId)) continue;
+    const index = clampIndex(entry.index, songs.length);
+    songs.splice(index, 0, entry.song);
+    present.add(entry.song.songId);
+    inserted.push({ song: entry.song, index });
+  }
+  return inserted;
+}
+
+// Songs listed in `songIds` take each other's places in that order; the rest
+// stay where they are
+function arrangeSongs(songs, songIds) {
+  const order = new Map(songIds.map((songId, index) => [songId, index]));
+  const listed = songs
+    .filter((song) => order.has(song.songId))
+    .sort((a, b) => order.get(a.songId) - order.get(b.songId));
+  return songs.map((song) => (order.has(song.songId) ? listed.shift() : song));
+}
+
+// Undo one change on an in-memory state. Songs are only ever present once,
+// which keeps the result valid for @@unique([playlistId, songId]).
+function revertChange(state, change) {
+  const { data } = change;
+  const indexOf = (songId) => state.songs.findIndex((song) => song.songId === songId);
+
+  switch (change.type) {
+    case 'song_added': {
+      const index = indexOf(data.song.songId);
+      if (index >= 0) state.songs.splice(index, 1);
+      return state;
+    }
+    case 'song_removed': {
+      if (indexOf(data.song.songId) < 0) {
+        state.songs.splice(clampIndex(data.index, state.songs.length), 0, data.song);
+      }
+      return state;
+    }
+    case 'song_moved': {
+      const index = indexOf(data.songId);
+      if (index >= 0) {
+        const [song] = state.songs.splice(index, 1);
+        state.songs.splice(clampIndex(data.fromIndex, state.songs.length), 0, song);
+      }
+      return state;
+    }
+    case 'songs_reordered':
+      state.songs = arrangeSongs(state.songs, data.before);
+      return state;
+    case 'songs_added':
+      removeSongs(state.songs, data.songs);
+      return state;
+    case 'songs_removed':
+      insertSongs(state.songs, data.songs);
+      return state;
+    case 'metadata_updated':
+      Object.assign(state.metadata, data.before);
+      return state;
+    case 'restored':
+      return cloneState(data.before);
+    default:
+      return state;
+  }
+}
+
+// Write `target` over `current`: drop, recreate and reorder songs, then
+// update the metadata. Moderated playlists stay private.
+async function applyState(tx, playlist, current, target) {
+  const playlistId = playlist.id;
+  const targetIds = target.songs.map((song) => song.songId);
+  const kept = new Set(targetIds);
+  const currentIds = new Set(current.songs.map((song) => song.songId));
+
+  const removed = current.songs.filter((song) => !kept.has(song.songId)).map((song) => song.songId);
+  if (removed.length > 0) {
+    await tx.playlistSong.deleteMany({ where: { playlistId, songId: { in: removed } } });
+  }
+
+  const added = target.songs.filter((song) => !currentIds.has(song.songId));
+  await writeSongOrder(tx, playlistId, targetIds, added);
+
+  const metadata = { ...target.metadata };
+  if (playlist.unpublishedAt) metadata.isPublic = false;
+  await tx.playlist.update({
+    where: { id: playlistId },
+    data: { ...metadata, updatedAt: new Date() }
+  });
+}
+
+// The opposite of `change` applied to the current state, as a new change
+function buildUndo(state, change) {
+  const { data } = change;
+  const target = cloneState(state);
+  const indexOf = (songId) => target.songs.findIndex((song) => song.songId === songId);
+
+  switch (change.type) {
+    case 'song_added': {
+      const index = indexOf(data.song.songId);
+      if (index < 0) throw new HistoryError('The song is no longer in the playlist', 409);
+      const [song] = target.songs.splice(index, 1);
+      return { target, type: 'song_removed', songId: song.songId, data: { song, index } };
+    }
+    case 'song_removed': {
+      if (indexOf(data.song.songId) >= 0) {
+        throw new HistoryError('The song is already in the playlist', 409);
+      }
+      const index = clampIndex(data.index, target.songs.length);
+      target.songs.splice(index, 0, data.song);
+      return { target, type: 'song_added', songId: data.song.songId, data: { song: data.song, index } };
+    }
+    case 'song_moved': {
+      const fromIndex = indexOf(data.songId);
+      if (fromIndex < 0) throw new HistoryError('The song is no longer in the playlist', 409);
+      const [song] = target.songs.splice(fromIndex, 1);
+      const toIndex = clampIndex(data.fromIndex, target.songs.length);
+      target.songs.splice(toIndex, 0, song);
+      return { target, type: 'song_moved', songId: data.songId, data: { songId: data.songId, fromIndex, toIndex } };
+    }
+    case 'songs_added': {
+      const songs = removeSongs(target.songs, data.songs);
+      if (songs.length === 0) throw new HistoryError('None of the songs are still in the playlist', 409);
+      return { target, type: 'songs_removed', data: { songs } };
+    }
+    case 'songs_removed': {
+      const songs = insertSongs(target.songs, data.songs);
+      if (songs.length === 0) throw new HistoryError('All of the songs are already in the playlist', 409);
+      return { target, type: 'songs_added', data: { songs } };
+    }
+    case 'songs_reordered': {
+      target.songs = arrangeSongs(target.songs, data.before);
+      const order = (songs) => songs.map((song) => song.songId);
+      return { target, type: 'songs_reordered', data: { before: order(state.songs), after: order(target.songs) } };
+    }
+    case 'metadata_updated': {
+      const before = pick(state.metadata, Object.keys(data.before));
+      Object.assign(target.metadata, data.before);
+      return { target, type: 'metadata_updated', data: { before, after: data.before } };
+    }
+    case 'restored':
+      return { target: cloneState(data.before), type: 'restored', data: { before: state, restoredTo: null } };
+    default:
+      throw new HistoryError('This change cannot be undone');
+  }
+}
+
+// Undo a single change, recording the undo as a new change
+export async function undoPlaylistChange(playlistId, changeId, userId) {
+  return prisma.$transaction(async (tx) => {
+    const { playlist, state } = await loadState(tx, playlistId);
+
+    const change = await tx.playlistChange.findFirst({ where: { id: changeId, playlistId } });
+    if (!change) throw new HistoryError('Change not found', 404);
+
+    const { count } = await tx.playlistChange.updateMany({
+      where: { id: changeId, undoneAt: null },
+      data: { undoneAt: new Date() }
+    });
+    if (count === 0) throw new HistoryError('Change was already undone', 409);
+
+    const undo = buildUndo(state, change);
+    await applyState(tx, playlist, state, undo.target);
+    return recordPlaylistChange(playlistId, userId, undo.type, {
+      songId: undo.songId,
+      data: { ...undo.data, undoOf: changeId }
+    }, tx);
+  });
+}
+
+// Put the playlist back the way it was right after change `changeId`, or at
+// time `at`. Returns the recorded change, or null if nothing changed since.
+export async function restorePlaylist(playlistId, { changeId, at }, userId) {
+  return prisma.$transaction(async (tx) => {
+    const { playlist, state } = await loadState(tx, playlistId);
+
+    const newer = await tx.playlistChange.findMany({
+      where: {
+        playlistId,
+        ...(changeId !== undefined ? { id: { gt: changeId } } : { createdAt: { gt: at } })
+      },
+      orderBy: { id: 'desc' }
+    });
+    if (newer.length === 0) return null;
+
+    const target = newer.reduce((result, change) => revertChange(result, change), cloneState(state));
+    await applyState(tx, playlist, state, target);
+
+    // Changes whose undo was just reverted are in effect again
+    const revertedUndoOf = newer.map((change) => change.data.undoOf).filter(Boolean);
+    if (revertedUndoOf.length > 0) {
+      await tx.playlistChange.updateMany({
+        where: { id: { in: revertedUndoOf } },
+        data: { undoneAt: null }
+      });
+    }
+
+    return recordPlaylistChange(playlistId, userId, 'restored', {
+      data: { before: state, restoredTo: changeId !== undefined ? { changeId } : { at } }
+    }, tx);
+  });
+}
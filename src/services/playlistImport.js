@@ -0,0 +1,68 @@
+import { PrismaClient } from '@prisma/client';
+import { PlaylistBatchError, getSaavnCollection, appendSongs } from './playlistBatch.js';
+import { withRankRetry } from './playlistOrder.js';
+
+const prisma = new PrismaClient();
+
+export const sourceSelect = { type: true, externalId: true, name: true, syncedAt: true };
+
+function collectionRef(source) {
+  return source.type === 'album' ? { albumId: source.externalId } : { saavnPlaylistId: source.externalId };
+}
+
+// Copy a Saavn album or playlist into a new playlist owned by `userId`. The
+// copy remembers where it came from so it can be re-synced later.
+export async function importSaavnCollection(userId, { albumId, saavnPlaylistId, name, description, isPublic = false }) {
+  const collection = await getSaavnCollection({ albumId, saavnPlaylistId });
+  if (collection.songs.length === 0) {
+    throw new PlaylistBatchError(`The ${collection.type} has no songs to import`);
+  }
+
+  return withRankRetry(() => prisma.$transaction(async (tx) => {
+    const playlist = await tx.playlist.create({
+      data: {
+        name: name?.trim() || collection.name || `Imported ${collection.type}`,
+        description: description !== undefined ? description?.trim() : collection.description,
+        imageUrl: collection.imageUrl,
+        isPublic,
+        userId,
+        source: {
+          create: {
+            type: collection.type,
+            externalId: collection.id,
+            name: collection.name,
+            songIds: collection.songs.map((song) => song.songId)
+          }
+        }
+      }
+    });
+
+    const { added } = await appendSongs(tx, playlist.id, userId, collection.songs);
+    return { playlist, added };
+  }));
+}
+
+// Add tracks that appeared upstream since the last import or sync, at the end
+// of the playlist. Songs removed from the copy stay removed.
+export async function syncPlaylistSource(playlistId, userId) {
+  const source = await prisma.playlistSource.findUnique({ where: { playlistId } });
+  if (!source) throw new PlaylistBatchError('This playlist was not imported', 404);
+
+  const collection = await getSaavnCollection(collectionRef(source), { fresh: true });
+  const known = new Set(source.songIds);
+  const upstream = collection.songs.filter((song) => !known.has(song.songId));
+
+  return withRankRetry(() => prisma.$transaction(async (tx) => {
+    const { results, added } = await appendSongs(tx, playlistId, userId, upstream);
+    const updated = await tx.playlistSource.update({
+      where: { playlistId },
+      data: {
+        name: collection.name,
+        songIds: [...source.songIds, ...upstream.map((song) => song.songId)],
+        syncedAt: new Date()
+      },
+      select: sourceSelect
+    });
+    return { source: updated, results, added };
+  }));
+}
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { isBlockedBetween } from './blocks.js';
+
+const prisma = new PrismaClient();
+
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'diya://app').replace(/\/$/, '');
+
+export class InviteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InviteError';
+    this.status = status;
+  }
+}
+
+export function inviteLinkUrl(code) {
+  return `${APP_BASE_URL}/playlists/join/${code}`;
+}
+
+// Why a link can no longer be used, or null if it still works
+export function inviteLinkProblem(link, now = new Date()) {
+  if (link.revokedAt) return 'Invite link has been revoked';
+  if (link.expiresAt && link.expiresAt <= now) return 'Invite link has expired';
+  if (link.maxUses !== null && link.uses >= link.maxUses) return 'Invite link has reached its maximum uses';
+  return null;
+}
+
+// Shareable link joining whoever opens it with the given permissions.
+// `expiresInHours` and `maxUses` are optional; without them the link works
+// until it is revoked.
+export async function createInviteLink(playlistId, createdBy, {
+  canEdit = false,
+  canAddSongs = true,
+  canRemoveSongs = false,
+  expiresInHours,
+  maxUses
+} = {}) {
+  return prisma.playlistInviteLink.create({
+    data: {
+      playlistId,
+      createdBy,
+      code: crypto.randomBytes(16).toString('base64url'),
+      canEdit,
+      canAddSongs,
+      canRemoveSongs,
+      maxUses: maxUses ?? null,
+      expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null
+    }
+  });
+}
+
+// Join a playlist through a link. A pending invitation for the same user is
+// accepted with the link's permissions instead.
+export async function redeemInviteLink(code, userId) {
+  const link = await prisma.playlistInviteLink.findUnique({
+    where: { code },
+    include: { playlist: { select: { id: true, name: true, userId: true, isCollaborative: true } } }
+  });
+
+  if (!link) throw new InviteError('Invite link not found', 404);
+  const problem = inviteLinkProblem(link);
+  if (problem) throw new InviteError(problem, 410);
+
+  const { playlist } = link;
+  if (playlist.userId === userId) throw new InviteError('You own this playlist');
+  if (!playlist.isCollaborative) throw new InviteError('Playlist is not collaborative');
+  if (await isBlockedBetween(playlist.userId, userId)) {
+    throw new InviteError('Cannot join this playlist', 403);
+  }
+
+  const permissions = {
+    canEdit: link.canEdit,
+    canAddSongs: link.canAddSongs,
+    canRemoveSongs: link.canRemoveSongs
+  };
+
+  const collaborator = await prisma.$transaction(async (tx) => {
+    const existing = await tx.playlistCollaborator.findUnique({
+      where: { playlistId_userId: { playlistId: playlist.id, userId } }
+    });
+    if (existing?.acceptedAt) throw new InviteError('You are already a collaborator');
+
+    // Count the use only while the link still has uses left
+    const { count } = await tx.playlistInviteLink.updateMany({
+      where: {
+        id: link.id,
+        revokedAt: null,
+        OR: [{ maxUses: null }, { uses: { lt: prisma.playlistInviteLink.fields.maxUses } }]
+      },
+      data: { uses: { increment: 1 } }
+    });
+    if (count === 0) throw new InviteError('Invite link has reached its maximum uses', 410);
+
+    const acceptedAt = new Date();
+    return existing
+      ? tx.playlistCollaborator.update({
+        where: { id: existing.id },
+        data: { ...permissions, acceptedAt }
+      })
+      : tx.playlistCollaborator.create({
+        data: { playlistId: playlist.id, userId, ...permissions, acceptedAt }
+      });
+  });
+
+  return { collaborator, playlist };
+}
@@ -0,0 +1,145 @@
+import { PrismaClient } from '@prisma/client';
+import { rankAfter, rankBetween, ranksBetween, rankSequence, reassignRanks } from './fractionalIndex.js';
+
+const prisma = new PrismaClient();
+
+// Playlist songs are ordered by `rank`, a fractional index that is unique per
+// playlist. Adding or moving a song only writes that song's row. When two
+// writers pick the same rank, the unique index rejects one of them and its
+// transaction is retried. Ranks that grow too long are renumbered.
+
+export const SONG_ORDER = { rank: 'asc' };
+
+const MAX_RANK_LENGTH = 32;
+const RANK_CONFLICT_ATTEMPTS = 3;
+
+export class PlaylistOrderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PlaylistOrderError';
+    this.status = status;
+  }
+}
+
+// Clients still get a 1-based `position` for each song
+export function withSongPositions(songs) {
+  return songs.map((song, index) => ({ ...song, position: index + 1 }));
+}
+
+// Run `fn` (usually a whole transaction) again if it lost a rank race
+export async function withRankRetry(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const rankConflict = err.code === 'P2002' && String(err.meta?.target).includes('rank');
+      if (!rankConflict || attempt >= RANK_CONFLICT_ATTEMPTS) throw err;
+    }
+  }
+}
+
+// 0-based index of the song with `rank`
+export function songIndex(tx, playlistId, rank) {
+  return tx.playlistSong.count({ where: { playlistId, rank: { lt: rank } } });
+}
+
+async function lastSongRank(tx, playlistId) {
+  const last = await tx.playlistSong.findFirst({
+    where: { playlistId },
+    select: { rank: true },
+    orderBy: { rank: 'desc' }
+  });
+  return last?.rank ?? null;
+}
+
+// Rank for a song appended to the end of the playlist
+export async function nextSongRank(tx, playlistId) {
+  const last = await lastSongRank(tx, playlistId);
+  if (last === null) return rankBetween(null, null);
+
+  const rank = rankAfter(last);
+  if (rank.length <= MAX_RANK_LENGTH) return rank;
+
+  await renumberSongs(tx, playlistId);
+  return nextSongRank(tx, playlistId);
+}
+
+// Ranks for `count` songs appended together
+export async function nextSongRanks(tx, playlistId, count) {
+  const ranks = ranksBetween(await lastSongRank(tx, playlistId), null, count);
+  if (ranks.every((rank) => rank.length <= MAX_RANK_LENGTH)) return ranks;
+
+  await renumberSongs(tx, playlistId);
+  return nextSongRanks(tx, playlistId, count);
+}
+
+// Rank that puts `songId` at `index` among the other songs
+export async function rankForIndex(tx, playlistId, songId, index) {
+  const neighbours = await tx.playlistSong.findMany({
+    where: { playlistId, songId: { not: songId } },
+    select: { rank: true },
+    orderBy: SONG_ORDER,
+    skip: Math.max(index - 1, 0),
+    take: index > 0 ? 2 : 1
+  });
+
+  const [before, after] = index > 0 ? neighbours : [null, neighbours[0]];
+  const rank = rankBetween(before?.rank ?? null, after?.rank ?? null);
+  if (rank.length <= MAX_RANK_LENGTH) return rank;
+
+  await renumberSongs(tx, playlistId);
+  return rankForIndex(tx, playlistId, songId, index);
+}
+
+// Put the playlist's songs in the order of `songIds`, which must list every
+// song once. `newSongs` (song data including songId) are created at their
+// place in that order. Songs already in order keep their ranks.
+export async function writeSongOrder(tx, playlistId, songIds, newSongs = [], { renumber = false } = {}) {
+  const existing = await tx.playlistSong.findMany({
+    where: { playlistId },
+    select: { id: true, songId: true, rank: true }
+  });
+  const current = new Map(existing.map((song) => [song.songId, song]));
+
+  let ranks = renumber
+    ? rankSequence(songIds.length)
+    : reassignRanks(songIds.map((songId) => current.get(songId)?.rank ?? null));
+  if (ranks.some((rank) => rank.length > MAX_RANK_LENGTH)) {
+    ranks = rankSequence(songIds.length);
+  }
+
+  const moved = songIds
+    .map((songId, index) => ({ song: current.get(songId), rank: ranks[index] }))
+    .filter(({ song, rank }) => song && song.rank !== rank);
+
+  // Park the moved songs on ranks outside the key alphabet first, so that no
+  // new rank collides with an old one while they are rewritten
+  if (moved.length > 0) {
+    const ids = moved.map(({ song }) => song.id);
+    await tx.$executeRaw`UPDATE playlist_songs SET "rank" = '~' || id WHERE id = ANY(${ids})`;
+  }
+
+  if (newSongs.length > 0) {
+    await tx.playlistSong.createMany({
+      data: newSongs.map((song) => ({
+        ...song,
+        playlistId,
+        rank: ranks[songIds.indexOf(song.songId)]
+      }))
+    });
+  }
+
+  for (const { song, rank } of moved) {
+    await tx.playlistSong.update({ where: { id: song.id }, data: { rank } });
+  }
+}
+
+// Evenly spaced ranks for the whole playlist, keeping its order
+export async function renumberSongs(tx, playlistId) {
+  const songs = await tx.playlistSong.findMany({
+    where: { playlistId },
+    select: { songId: true },
+    orderBy: SONG_ORDER
+  });
+  await writeSongOrder(tx, playlistId, songs.map((song) => song.songId), [], { renumber: true });
+}
@@ -0,0 +1,167 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Short reconnects (app switch, flaky network) should not flap the status
+const OFFLINE_GRACE_MS = parseInt(process.env.PRESENCE_GRACE_MS || '30000', 10);
+
+// Presence is derived from open sockets: a user is online while at least one
+// of their sockets is connected, and goes offline once the last one has been
+// gone for the grace period.
+const userSockets = new Map();
+const offlineTimers = new Map();
+let io = null;
+let staleSweep = null;
+
+export function isUserOnline(userId) {
+  return userSockets.has(userId) || offlineTimers.has(userId);
+}
+
+async function notifyFollowers(userId, status) {
+  if (!io) return;
+
+  const followers = await prisma.follow.findMany({
+    where: { followingId: userId },
+    select: { followerId: true }
+  });
+  if (followers.length === 0) return;
+
+  const rooms = followers.map((follow) => `user-${follow.followerId}`);
+  io.to(rooms).emit('user-status-change', { userId, ...status });
+}
+
+async function markOnline(userId) {
+  const lastSeen = new Date();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { isOnline: true, lastSeen }
+  });
+  await notifyFollowers(userId, { isOnline: true, lastSeen });
+}
+
+// Called once the grace period ran out without a reconnect
+async function markOffline(userId) {
+  // The user may still be connected to another instance
+  const elsewhere = io ? await io.in(`user-${userId}`).fetchSockets() : [];
+  if (elsewhere.length > 0) return;
+
+  const lastSeen = new Date();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { isOnline: false, lastSeen }
+  });
+
+  // Drop the user from the vibe sessions they were still part of
+  const participations = await prisma.vibeParticipant.findMany({
+    where: { userId, isActive: true },
+    select: { sessionId: true }
+  });
+  if (participations.length > 0) {
+    await prisma.vibeParticipant.updateMany({
+      where: { userId, isActive: true },
+      data: { isActive: false, leftAt: lastSeen }
+    });
+    for (const { sessionId } of participations) {
+      io?.to(`vibe-${sessionId}`).emit('vibe:participant_left', {
+        userId,
+        sessionId,
+        reason: 'offline'
+      });
+    }
+  }
+
+  await notifyFollowers(userId, { isOnline: false, lastSeen });
+}
+
+export function trackConnection(socket) {
+  const userId = socket.data.userId;
+
+  // Personal room for events addressed to this user (status of followed users)
+  socket.join(`user-${userId}`);
+
+  let sockets = userSockets.get(userId);
+  if (!sockets) {
+    sockets = new Set();
+    userSockets.set(userId, sockets);
+  }
+  sockets.add(socket.id);
+
+  // Reconnected within the grace period: nothing changed for anyone else
+  const pending = offlineTimers.get(userId);
+  if (pending) {
+    clearTimeout(pending);
+    offlineTimers.delete(userId);
+    return;
+  }
+
+  if (sockets.size === 1) {
+    markOnline(userId).catch((err) => {
+      console.error(`Failed to mark user ${userId} online:`, err);
+    });
+  }
+}
+
+export function trackDisconnect(socket) {
+  const userId = socket.data.userId;
+  const sockets = userSockets.get(userId);
+  if (!sockets) return;
+
+  sockets.delete(socket.id);
+  if (sockets.size > 0) return;
+  userSockets.delete(userId);
+
+  const timer = setTimeout(() => {
+    offlineTimers.delete(userId);
+    markOffline(userId).catch((err) => {
+      console.error(`Failed to mark user ${userId} offline:`, err);
+    });
+  }, OFFLINE_GRACE_MS);
+
+  timer.unref?.();
+  offlineTimers.set(userId, timer);
+}
+
+// Flags left behind by a crash or an unclean shutdown. Other instances keep
+// their users online, so only users without a socket anywhere in the cluster
+// go offline, the same way as after a disconnect.
+async function clearStalePresence() {
+  const users = await prisma.user.findMany({
+    where: { isOnline: true },
+    select: { id: true }
+  });
+
+  for (const { id } of users) {
+    if (isUserOnline(id)) continue;
+    try {
+      await markOffline(id);
+    } catch (err) {
+      console.error(`Failed to clear stale presence of user ${id}:`, err);
+    }
+  }
+}
+
+// The sweep waits for a grace period so the other instances have announced
+// themselves to the adapter and reconnecting clients are back.
+export function initPresence(socketServer) {
+  io = socketServer;
+
+  staleSweep = setTimeout(() => {
+    staleSweep = null;
+    clearStalePresence().catch((err) => {
+      console.error('Failed to clear stale online status:', err);
+    });
+  }, OFFLINE_GRACE_MS);
+  staleSweep.unref?.();
+}
+
+export function stopPresence() {
+  if (staleSweep) {
+    clearTimeout(staleSweep);
+    staleSweep = null;
+  }
+  for (const timer of offlineTimers.values()) {
+    clearTimeout(timer);
+  }
+  offlineTimers.clear();
+  userSockets.clear();
+}
@@ -0,0 +1,16 @@
+// Which parts of a user's profile a viewer may see. Private profiles are only
+// fully visible to followers; playlists and listening activity additionally
+// need `showPlaylists` / `showActivity`. Users without a settings row get the
+// schema defaults (everything on).
+export function resolveProfileVisibility(settings, { isSelf = false, isFollowing = false } = {}) {
+  if (isSelf) {
+    return { profile: true, playlists: true, activity: true };
+  }
+
+  const profile = settings?.profilePublic !== false || isFollowing;
+  return {
+    profile,
+    playlists: profile && settings?.showPlaylists !== false,
+    activity: profile && settings?.showActivity !== false
+  };
+}
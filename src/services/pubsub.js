@@ -0,0 +1,121 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { createClient } from 'redis';
+
+// Pub/sub used to keep several backend instances in step: Socket.IO room
+// broadcasts and cache invalidation go through it. The in-memory driver only
+// reaches the current process and is the default; set PUBSUB_DRIVER=redis (or
+// REDIS_URL) to share messages between instances through any server that
+// speaks the Redis protocol.
+//
+// A driver exposes:
+//   publish(channel, message) -> Promise   (message must be JSON-serializable)
+//   subscribe(channel, handler) -> Promise<unsubscribe>
+//   close() -> Promise
+
+// Identifies this process, so instances can ignore their own messages
+export const INSTANCE_ID = randomUUID();
+
+export function createMemoryPubSub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    driver: 'memory',
+
+    async publish(channel, message) {
+      // Round-trip through JSON so both drivers hand out the same shapes
+      const payload = JSON.parse(JSON.stringify(message));
+      emitter.emit(channel, payload);
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return async () => {
+        emitter.off(channel, handler);
+      };
+    },
+
+    async close() {
+      emitter.removeAllListeners();
+    }
+  };
+}
+
+// Pass `client` to use a node-redis client created elsewhere (e.g. pointed at a
+// local stand-in); the driver duplicates it for subscribing and closes both.
+export function createRedisPubSub({ url = process.env.REDIS_URL || 'redis://127.0.0.1:6379', client } = {}) {
+  // Subscribed connections cannot issue other commands, so use two
+  const publisher = client || createClient({ url });
+  const subscriber = publisher.duplicate();
+
+  for (const connection of [publisher, subscriber]) {
+    connection.on('error', (err) => {
+      console.error('Redis pub/sub error:', err.message);
+    });
+  }
+
+  const ready = Promise.all([publisher, subscriber].map((connection) => (
+    connection.isOpen ? undefined : connection.connect()
+  )));
+
+  return {
+    driver: 'redis',
+    ready,
+
+    async publish(channel, message) {
+      await ready;
+      await publisher.publish(channel, JSON.stringify(message));
+    },
+
+    async subscribe(channel, handler) {
+      await ready;
+      const listener = (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch (err) {
+          return console.error(`Ignoring malformed message on ${channel}`);
+        }
+        handler(message);
+      };
+      await subscriber.subscribe(channel, listener);
+      return async () => {
+        await subscriber.unsubscribe(channel, listener);
+      };
+    },
+
+    async close() {
+      await Promise.allSettled([publisher.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+function resolveDriver() {
+  const driver = process.env.PUBSUB_DRIVER || (process.env.REDIS_URL ? 'redis' : 'memory');
+  if (driver === 'redis') return createRedisPubSub();
+  if (driver !== 'memory') {
+    console.warn(`Unknown PUBSUB_DRIVER "${driver}", using in-memory pub/sub`);
+  }
+  return createMemoryPubSub();
+}
+
+let pubsub = null;
+
+// Shared instance for the whole process, created on first use
+export function getPubSub() {
+  if (!pubsub) pubsub = resolveDriver();
+  return pubsub;
+}
+
+// Swap the shared instance, e.g. for a driver with an injected client
+export function setPubSub(driver) {
+  pubsub = driver;
+}
+
+export async function closePubSub() {
+  if (!pubsub) return;
+  const current = pubsub;
+  pubsub = null;
+  await current.close();
+}
@@ -0,0 +1,159 @@
+import { PrismaClient } from '@prisma/client';
+import { PROVIDERS } from './pushProviders.js';
+import {
+  createHttpTransport,
+  createLogTransport,
+  createMemoryTransport,
+  createFileTransport
+} from './pushTransports.js';
+
+const prisma = new PrismaClient();
+
+const MAX_ATTEMPTS = parseInt(process.env.PUSH_MAX_ATTEMPTS || '3', 10);
+const RETRY_BASE_MS = parseInt(process.env.PUSH_RETRY_BASE_MS || '500', 10);
+
+function resolveTransport() {
+  const name = process.env.PUSH_TRANSPORT ||
+    (process.env.FCM_SERVER_KEY || process.env.APNS_KEY_FILE ? 'http' : 'log');
+  if (name === 'http') return createHttpTransport();
+  if (name === 'file') return createFileTransport();
+  if (name === 'memory') return createMemoryTransport();
+  if (name !== 'log') {
+    console.warn(`Unknown PUSH_TRANSPORT "${name}", push notifications will only be logged`);
+  } else if (!process.env.PUSH_TRANSPORT) {
+    console.warn('No push provider configured (FCM_SERVER_KEY, APNS_KEY_FILE), push notifications will only be logged');
+  }
+  return createLogTransport();
+}
+
+let transport = null;
+
+export function getPushTransport() {
+  if (!transport) transport = resolveTransport();
+  return transport;
+}
+
+// Swap the transport, e.g. a memory transport with a scripted `respond` in tests
+export function setPushTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter: ~base, ~2x base, ~4x base, ...
+function backoff(attempt) {
+  const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+  return delay + Math.floor(Math.random() * delay * 0.2);
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+async function deliver(provider, tokens, message) {
+  const requests = provider.buildRequests(tokens, message);
+  const results = await Promise.all(requests.map(async (request) => {
+    try {
+      const response = await getPushTransport().send(request, provider);
+      return provider.parseResponse(request, response);
+    } catch (err) {
+      // Network errors and timeouts are worth another try
+      return request.tokens.map((token) => ({ token, ok: false, retryable: true, error: err.message }));
+    }
+  }));
+  return results.flat();
+}
+
+// Send one batch, retrying only the tokens that failed transiently
+async function sendBatch(provider, tokens, message) {
+  const summary = { sent: 0, failed: 0, invalidTokens: [] };
+  let pending = tokens;
+
+  for (let attempt = 1; pending.length > 0 && attempt <= MAX_ATTEMPTS; attempt++) {
+    if (attempt > 1) await sleep(backoff(attempt - 1));
+
+    const results = await deliver(provider, pending, message);
+    pending = [];
+    for (const result of results) {
+      if (result.ok) {
+        summary.sent++;
+      } else if (result.invalidToken) {
+        summary.invalidTokens.push(result.token);
+      } else if (result.retryable) {
+        pending.push(result.token);
+      } else {
+        summary.failed++;
+      }
+    }
+  }
+
+  summary.failed += pending.length;
+  return summary;
+}
+
+// Push `message` ({ title, body, data }) to every registered device of the
+// given users, skipping users who turned push off. All devices of a provider
+// go out together in as few batches as the provider allows; dead tokens are
+// deleted afterwards.
+export async function sendPush(userIds, message) {
+  const summary = { sent: 0, failed: 0, pruned: 0 };
+  const recipients = [...new Set(userIds)];
+  if (recipients.length === 0) return summary;
+
+  const optedOut = await prisma.userSettings.findMany({
+    where: { userId: { in: recipients }, pushNotifications: false },
+    select: { userId: true }
+  });
+  const optedOutIds = new Set(optedOut.map((setting) => setting.userId));
+
+  const devices = await prisma.deviceToken.findMany({
+    where: { userId: { in: recipients.filter((userId) => !optedOutIds.has(userId)) } },
+    select: { token: true, provider: true }
+  });
+  if (devices.length === 0) return summary;
+
+  const tokensByProvider = new Map();
+  for (const device of devices) {
+    if (!PROVIDERS[device.provider]) continue;
+    if (!tokensByProvider.has(device.provider)) tokensByProvider.set(device.provider, []);
+    tokensByProvider.get(device.provider).push(device.token);
+  }
+
+  const invalidTokens = [];
+  for (const [name, tokens] of tokensByProvider) {
+    const provider = PROVIDERS[name];
+    const batches = chunk(tokens, provider.maxBatchSize);
+    const results = await Promise.all(batches.map((batch) => sendBatch(provider, batch, message)));
+    for (const result of results) {
+      summary.sent += result.sent;
+      summary.failed += result.failed;
+      invalidTokens.push(...result.invalidTokens);
+    }
+  }
+
+  if (invalidTokens.length > 0) {
+    const { count } = await prisma.deviceToken.deleteMany({
+      where: { token: { in: invalidTokens } }
+    });
+    summary.pruned = count;
+  }
+
+  return summary;
+}
+
+// Fire-and-forget variant for request handlers; retries can take seconds
+export function dispatchPush(userIds, message) {
+  sendPush(userIds, message)
+    .then((summary) => {
+      if (summary.failed > 0 || summary.pruned > 0) {
+        console.warn('Push delivery:', summary);
+      }
+    })
+    .catch((err) => {
+      console.error('Push delivery failed:', err);
+    });
+}
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+
+// Push providers turn a message into provider-specific HTTP requests and map
+// the responses back to per-token results:
+//   { token, ok, invalidToken, retryable, error }
+// Sending itself is left to a transport (see pushTransports.js).
+
+const FCM_URL = process.env.FCM_URL || 'https://fcm.googleapis.com/fcm/send';
+const APNS_HOST = process.env.APNS_PRODUCTION === 'true'
+  ? 'https://api.push.apple.com'
+  : 'https://api.sandbox.push.apple.com';
+
+// FCM error codes that mean the token will never work again
+const FCM_INVALID_TOKEN_ERRORS = new Set(['NotRegistered', 'InvalidRegistration', 'MismatchSenderId']);
+const FCM_RETRYABLE_ERRORS = new Set(['Unavailable', 'InternalServerError', 'DeviceMessageRateExceeded']);
+const APNS_INVALID_TOKEN_REASONS = new Set(['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic']);
+
+function stringifyData(data = {}) {
+  // FCM data payloads only carry string values
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+  );
+}
+
+export const fcmProvider = {
+  name: 'fcm',
+  // Legacy HTTP API accepts up to 1000 registration ids per request
+  maxBatchSize: 1000,
+
+  buildRequests(tokens, message) {
+    return [{
+      provider: 'fcm',
+      method: 'POST',
+      url: FCM_URL,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `key=${process.env.FCM_SERVER_KEY || ''}`
+      },
+      body: {
+        registration_ids: tokens,
+        priority: 'high',
+        notification: { title: message.title, body: message.body },
+        data: stringifyData(message.data)
+      },
+      tokens
+    }];
+  },
+
+  parseResponse(request, response) {
+    if (response.status >= 500 || response.status === 429) {
+      return request.tokens.map((token) => ({ token, ok: false, retryable: true, error: `HTTP ${response.status}` }));
+    }
+    if (response.status !== 200) {
+      return request.tokens.map((token) => ({ token, ok: false, retryable: false, error: `HTTP ${response.status}` }));
+    }
+
+    const results = response.body?.results || [];
+    return request.tokens.map((token, index) => {
+      const error = results[index]?.error;
+      if (!error) return { token, ok: true };
+      return {
+        token,
+        ok: false,
+        invalidToken: FCM_INVALID_TOKEN_ERRORS.has(error),
+        retryable: FCM_RETRYABLE_ERRORS.has(error),
+        error
+      };
+    });
+  },
+
+  // What a successful send looks like, used by the offline transports
+  successResponse(request) {
+    return {
+      status: 200,
+      body: {
+        success: request.tokens.length,
+        failure: 0,
+        results: request.tokens.map((_, index) => ({ message_id: `local:${Date.now()}:${index}` }))
+      }
+    };
+  }
+};
+
+let apnsJwt = null;
+
+// Provider token for APNs, valid for an hour; refreshed well before that
+function getApnsAuthToken() {
+  if (apnsJwt && Date.now() - apnsJwt.issuedAt < 50 * 60 * 1000) {
+    return apnsJwt.token;
+  }
+  const key = process.env.APNS_KEY_FILE ? fs.readFileSync(process.env.APNS_KEY_FILE, 'utf8') : null;
+  if (!key) return null;
+
+  const token = jwt.sign({ iss: process.env.APNS_TEAM_ID }, key, {
+    algorithm: 'ES256',
+    header: { alg: 'ES256', kid: process.env.APNS_KEY_ID }
+  });
+  apnsJwt = { token, issuedAt: Date.now() };
+  return token;
+}
+
+export const apnsProvider = {
+  name: 'apns',
+  // APNs has no multicast; a batch is sent as parallel requests
+  maxBatchSize: 100,
+
+  buildRequests(tokens, message) {
+    const authToken = getApnsAuthToken();
+    const { type, ...data } = message.data || {};
+
+    return tokens.map((token) => ({
+      provider: 'apns',
+      method: 'POST',
+      url: `${APNS_HOST}/3/device/${token}`,
+      headers: {
+        'apns-topic': process.env.APNS_TOPIC || '',
+        'apns-push-type': 'alert',
+        'apns-priority': '10',
+        ...(authToken && { authorization: `bearer ${authToken}` })
+      },
+      body: {
+        aps: {
+          alert: { title: message.title, body: message.body },
+          sound: 'default'
+        },
+        type,
+        ...data
+      },
+      tokens: [token]
+    }));
+  },
+
+  parseResponse(request, response) {
+    const [token] = request.tokens;
+    if (response.status === 200) return [{ token, ok: true }];
+
+    const reason = response.body?.reason || `HTTP ${response.status}`;
+    return [{
+      token,
+      ok: false,
+      invalidToken: response.status === 410 || APNS_INVALID_TOKEN_REASONS.has(reason),
+      retryable: response.status === 429 || response.status >= 500,
+      error: reason
+    }];
+  },
+
+  successResponse() {
+    return { status: 200, body: null };
+  }
+};
+
+export const PROVIDERS = {
+  fcm: fcmProvider,
+  apns: apnsProvider
+};
+
+// iOS devices use APNs unless the app registered an FCM token explicitly
+export function providerForPlatform(platform) {
+  return platform === 'ios' ? 'apns' : 'fcm';
+}
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import http2 from 'http2';
+import axios from 'axios';
+
+// Transports deliver the requests built by a push provider and return
+// `{ status, body }`. `http` talks to the real services; `log` only reports
+// what would have been sent; `memory` and `file` keep everything local so push
+// can be exercised offline.
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.PUSH_TIMEOUT_MS || '10000', 10);
+
+// APNs only speaks HTTP/2; keep one session per origin
+const http2Sessions = new Map();
+
+function getHttp2Session(origin) {
+  let session = http2Sessions.get(origin);
+  if (!session || session.closed || session.destroyed) {
+    session = http2.connect(origin);
+    session.on('error', () => http2Sessions.delete(origin));
+    session.on('close', () => http2Sessions.delete(origin));
+    session.unref();
+    http2Sessions.set(origin, session);
+  }
+  return session;
+}
+
+function sendHttp2(request) {
+  const url = new URL(request.url);
+  const session = getHttp2Session(url.origin);
+
+  return new Promise((resolve, reject) => {
+    const stream = session.request({
+      ':method': request.method,
+      ':path': url.pathname,
+      'content-type': 'application/json',
+      ...request.headers
+    });
+
+    let status = 0;
+    let raw = '';
+    stream.setEncoding('utf8');
+    stream.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      stream.close(http2.constants.NGHTTP2_CANCEL);
+      reject(new Error('Push request timed out'));
+    });
+    stream.on('response', (headers) => {
+      status = headers[':status'];
+    });
+    stream.on('data', (chunk) => {
+      raw += chunk;
+    });
+    stream.on('end', () => {
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (err) {
+        body = { reason: raw };
+      }
+      resolve({ status, body });
+    });
+    stream.on('error', reject);
+    stream.end(JSON.stringify(request.body));
+  });
+}
+
+export function createHttpTransport() {
+  return {
+    name: 'http',
+
+    async send(request) {
+      if (request.provider === 'apns') {
+        return sendHttp2(request);
+      }
+
+      const response = await axios({
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        data: request.body,
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: () => true
+      });
+      return { status: response.status, body: response.data };
+    },
+
+    close() {
+      for (const session of http2Sessions.values()) {
+        session.close();
+      }
+      http2Sessions.clear();
+    }
+  };
+}
+
+// Used when no provider is configured: nothing leaves the server
+export function createLogTransport() {
+  return {
+    name: 'log',
+
+    async send(request, provider) {
+      console.log(`📵 Push to ${request.tokens.length} ${request.provider} device(s) not sent, no push provider configured`);
+      return provider.successResponse(request);
+    }
+  };
+}
+
+// Keeps the last `limit` sent requests in memory, for tests. `respond` can
+// simulate provider answers (errors, dead tokens); by default every send
+// succeeds.
+export function createMemoryTransport({ respond, limit = 1000 } = {}) {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+
+    async send(request, provider) {
+      sent.push({ ...request, sentAt: new Date() });
+      if (sent.length > limit) sent.splice(0, sent.length - limit);
+      return respond ? respond(request) : provider.successResponse(request);
+    },
+
+    clear() {
+      sent.length = 0;
+    }
+  };
+}
+
+// Appends every request as a JSON line, e.g. to inspect pushes in development
+export function createFileTransport(filePath = process.env.PUSH_OUTBOX_FILE || 'push-outbox.jsonl') {
+  return {
+    name: 'file',
+    filePath,
+
+    async send(request, provider) {
+      const line = JSON.stringify({ sentAt: new Date().toISOString(), ...request });
+      await fs.promises.appendFile(filePath, `${line}\n`);
+      return provider.successResponse(request);
+    }
+  };
+}
@@ -0,0 +1,181 @@
+import { createClient } from 'redis';
+
+// Fixed-window rate limiting for Express routes. Counters live in a store:
+// the in-memory store is the default and only covers the current process;
+// set RATE_LIMIT_STORE=redis (or REDIS_URL) to share counters between
+// instances.
+//
+// A store exposes:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   get(key) -> Promise<{ count, resetAt } | null>
+//   reset(key) -> Promise
+
+export function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { ...counter };
+    },
+
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+
+    async close() {
+      clearInterval(sweep);
+      counters.clear();
+    }
+  };
+}
+
+// Upper bound for a single store call. node-redis keeps reconnecting while the
+// server is down, so without it callers would wait forever instead of failing
+// open.
+const STORE_TIMEOUT_MS = parseInt(process.env.RATE_LIMIT_STORE_TIMEOUT_MS || '500', 10);
+
+export function createRedisRateLimitStore(url = process.env.REDIS_URL || 'redis://127.0.0.1:6379') {
+  // Without the offline queue, commands sent while disconnected fail at once
+  const client = createClient({ url, disableOfflineQueue: true });
+  client.on('error', (err) => {
+    console.error('Redis rate limit store error:', err.message);
+  });
+  const ready = client.connect();
+  ready.catch(() => {});
+  const prefix = 'ratelimit:';
+
+  // Run `command` once connected, rejecting after STORE_TIMEOUT_MS
+  function run(command) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Rate limit store timed out')), STORE_TIMEOUT_MS);
+    });
+    return Promise.race([ready.then(command), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  return {
+    name: 'redis',
+    ready,
+
+    increment(key, windowMs) {
+      return run(async () => {
+        // The window starts with the first hit; later hits keep its expiry
+        const [, count, ttl] = await client.multi()
+          .set(prefix + key, '0', { PX: windowMs, NX: true })
+          .incr(prefix + key)
+          .pTTL(prefix + key)
+          .exec();
+        return { count: Number(count), resetAt: Date.now() + Math.max(Number(ttl), 0) };
+      });
+    },
+
+    get(key) {
+      return run(async () => {
+        const [count, ttl] = await client.multi()
+          .get(prefix + key)
+          .pTTL(prefix + key)
+          .exec();
+        if (count === null || Number(ttl) <= 0) return null;
+        return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+      });
+    },
+
+    reset(key) {
+      return run(() => client.del(prefix + key));
+    },
+
+    async close() {
+      // quit() waits for a connection that may never come
+      const closing = client.isReady ? client.quit() : client.disconnect();
+      await closing.catch(() => {});
+    }
+  };
+}
+
+function resolveStore() {
+  const name = process.env.RATE_LIMIT_STORE || (process.env.REDIS_URL ? 'redis' : 'memory');
+  if (name === 'redis') return createRedisRateLimitStore();
+  if (name !== 'memory') {
+    console.warn(`Unknown RATE_LIMIT_STORE "${name}", using in-memory rate limit store`);
+  }
+  return createMemoryRateLimitStore();
+}
+
+let store = null;
+
+export function getRateLimitStore() {
+  if (!store) store = resolveStore();
+  return store;
+}
+
+// Swap the store, e.g. a fresh memory store between tests
+export function setRateLimitStore(nextStore) {
+  store = nextStore;
+}
+
+export async function closeRateLimitStore() {
+  if (!store) return;
+  const current = store;
+  store = null;
+  await current.close();
+}
+
+// Standard headers for a counter (IETF RateLimit fields plus Retry-After
+// once the limit is hit)
+export function setRateLimitHeaders(res, { max, count, resetAt }) {
+  const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(Math.max(max - count, 0)));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  if (count > max) res.set('Retry-After', String(Math.max(resetSeconds, 1)));
+}
+
+// Middleware allowing `max` requests per `windowMs`, counted per user when
+// `by: 'user'` and the request is authenticated, otherwise per client IP.
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS override the
+// defaults. If the store fails the request is let through.
+export function rateLimit({ name, max, windowMs, by = 'ip' }) {
+  const envPrefix = `RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  const limit = parseInt(process.env[`${envPrefix}MAX`] || String(max), 10);
+  const window = parseInt(process.env[`${envPrefix}WINDOW_MS`] || String(windowMs), 10);
+
+  return async (req, res, next) => {
+    const client = by === 'user' && req.user?.userId ? `user:${req.user.userId}` : `ip:${req.ip}`;
+
+    let counter;
+    try {
+      counter = await getRateLimitStore().increment(`${name}:${client}`, window);
+    } catch (err) {
+      console.error(`Rate limit store failed for ${name}:`, err.message);
+      return next();
+    }
+
+    setRateLimitHeaders(res, { max: limit, ...counter });
+    if (counter.count > limit) {
+      return res.status(429).json({ error: 'Too many requests, please try again later' });
+    }
+    next();
+  };
+}
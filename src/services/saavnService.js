@@ -1,8 +1,10 @@
 import axios from 'axios';
+import { getPubSub, INSTANCE_ID } from './pubsub.js';
 
 const DEFAULT_CACHE_TTL = parseInt(process.env.SAAVN_CACHE_TTL || '300000', 10); // 5 minutes
 const MAX_CACHE_SIZE = parseInt(process.env.SAAVN_CACHE_MAX_ENTRIES || '200', 10);
 const BASE_URL = process.env.JIOSAAVN_API_URL || 'https://jiosaavn-api-sigma-rouge.vercel.app';
+const CACHE_CHANNEL = 'cache:saavn';
 
 const cache = new Map();
 
@@ -53,11 +55,12 @@ function setCache(key, data, ttl = DEFAULT_CACHE_TTL) {
   });
 }
 
-async function fetchFromSaavn(path, params = {}, { ttl } = {}) {
+// `fresh` skips the cache read; the response still refreshes the cache
+async function fetchFromSaavn(path, params = {}, { ttl, fresh = false } = {}) {
   const normalizedPath = buildUrl(path);
   const cacheKey = buildCacheKey(normalizedPath, params);
 
-  const cached = getFromCache(cacheKey);
+  const cached = fresh ? null : getFromCache(cacheKey);
   if (cached) {
     return { data: cached, fromCache: true };
   }
@@ -127,10 +130,10 @@ export async function searchAcrossSaavn({ query, page = 1 }) {
 }
 
 // Get album details by ID
-export async function getAlbumDetails(albumId) {
+export async function getAlbumDetails(albumId, { fresh } = {}) {
   if (!albumId) return null;
   console.log('🎵 SaavnService: Fetching album details for ID:', albumId);
-  const response = await fetchFromSaavn('/albums', { id: albumId });
+  const response = await fetchFromSaavn('/albums', { id: albumId }, { fresh });
   console.log('🎵 SaavnService: Album response:', response);
   
   // Handle double-nested response structure: response.data.data
@@ -177,6 +180,15 @@ export async function getSongsByIds(songIds) {
   }
 }
 
+// Length of a song in seconds, or null when Saavn does not know it
+export async function getSongDuration(songId) {
+  if (!songId) return null;
+  const result = await getSongsByIds([songId]);
+  const songs = result?.data || result?.songs || result;
+  const song = Array.isArray(songs) ? songs.find((item) => String(item?.id) === String(songId)) : null;
+  return normalizeSaavnSong(song)?.duration ?? null;
+}
+
 // Get artist details by ID
 export async function getArtistDetails(artistId) {
   if (!artistId) return null;
@@ -214,11 +226,11 @@ export async function getArtistAlbums(artistId, limit = 20) {
   return data;
 }
 
-// Get playlist details by ID
-export async function getPlaylistDetails(playlistId) {
+// Get playlist details by ID. Saavn pages playlist songs, `limit` asks for more.
+export async function getPlaylistDetails(playlistId, { limit, fresh } = {}) {
   if (!playlistId) return null;
   console.log('🎶 SaavnService: Fetching playlist details for ID:', playlistId);
-  const response = await fetchFromSaavn('/playlists', { id: playlistId });
+  const response = await fetchFromSaavn('/playlists', { id: playlistId, ...(limit && { limit }) }, { fresh });
   console.log('🎶 SaavnService: Playlist response:', response);
   
   // Handle double-nested response structure: response.data.data
@@ -237,8 +249,51 @@ export async function getPlaylistDetails(playlistId) {
   return response;
 }
 
+// Songs similar to the given one (used for vibe autoplay)
+export async function getSongSuggestions(songId, limit = 10) {
+  if (!songId) return [];
+  const { data } = await fetchFromSaavn(`/songs/${songId}/suggestions`, { limit });
+  const songs = data?.data || data;
+  return Array.isArray(songs) ? songs : [];
+}
+
+// Flatten a Saavn song object into the fields we store for tracks
+export function normalizeSaavnSong(song) {
+  if (!song || !song.id) return null;
+
+  const primaryArtists = song.artists?.primary?.map((artist) => artist.name).join(', ');
+  const images = Array.isArray(song.image) ? song.image : [];
+  const image = images[images.length - 1];
+
+  return {
+    songId: String(song.id),
+    songName: song.name || song.title,
+    artistName: primaryArtists || song.primaryArtists || song.singers || 'Unknown Artist',
+    albumName: song.album?.name || (typeof song.album === 'string' ? song.album : null),
+    imageUrl: image?.url || image?.link || (typeof song.image === 'string' ? song.image : null),
+    duration: song.duration ? parseInt(song.duration, 10) : null,
+  };
+}
+
 export function clearSaavnCache() {
   cache.clear();
+
+  // Every instance keeps its own cache, so tell the others to drop theirs
+  getPubSub()
+    .publish(CACHE_CHANNEL, { type: 'clear', origin: INSTANCE_ID })
+    .catch((error) => {
+      console.error('Failed to publish Saavn cache invalidation:', error.message);
+    });
+}
+
+// Apply cache invalidations published by other instances
+export function subscribeSaavnCacheInvalidation() {
+  return getPubSub().subscribe(CACHE_CHANNEL, (message) => {
+    if (message.origin === INSTANCE_ID) return;
+    if (message.type === 'clear') {
+      cache.clear();
+    }
+  });
 }
 
 export default {
@@ -254,5 +309,7 @@ export default {
   getArtistSongs,
   getArtistAlbums,
   getPlaylistDetails,
+  getSongSuggestions,
+  normalizeSaavnSong,
   clearSaavnCache,
 };
@@ -0,0 +1,38 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const TIMEFRAMES = {
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// Most searched queries across all users within the timeframe (1d, 7d or
+// 30d; anything else means 7d)
+export async function getTrendingSearches({ limit = 10, timeframe = '7d' } = {}) {
+  const since = new Date(Date.now() - (TIMEFRAMES[timeframe] || TIMEFRAMES['7d']));
+
+  const trending = await prisma.searchHistory.groupBy({
+    by: ['query'],
+    where: {
+      searchedAt: {
+        gte: since
+      }
+    },
+    _count: {
+      query: true
+    },
+    orderBy: {
+      _count: {
+        query: 'desc'
+      }
+    },
+    take: parseInt(limit)
+  });
+
+  return trending.map(item => ({
+    query: item.query,
+    count: item._count.query
+  }));
+}
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key_change_in_production';
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your_jwt_refresh_secret_change_in_production';
+
+// Token lifetimes in seconds
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL || '900', 10); // 15 minutes
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL || '2592000', 10); // 30 days
+
+export class TokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+function signAccessToken(user, familyId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      type: 'access',
+      sid: familyId
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Persist a new refresh token row and return the signed token for it.
+// `db` lets callers run this inside an interactive transaction.
+async function createRefreshToken(userId, familyId, db = prisma) {
+  const tokenId = crypto.randomUUID();
+  await db.refreshToken.create({
+    data: {
+      tokenId,
+      familyId,
+      userId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000)
+    }
+  });
+
+  const refreshToken = jwt.sign(
+    { userId, type: 'refresh', fam: familyId },
+    JWT_REFRESH_SECRET,
+    { expiresIn: REFRESH_TOKEN_TTL, jwtid: tokenId }
+  );
+
+  return { tokenId, refreshToken };
+}
+
+// Start a new token family (one per login/device) and issue both tokens
+export async function issueAuthTokens(user) {
+  const familyId = crypto.randomUUID();
+  const { refreshToken } = await createRefreshToken(user.id, familyId);
+
+  return {
+    accessToken: signAccessToken(user, familyId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresIn: REFRESH_TOKEN_TTL
+  };
+}
+
+function decodeRefreshToken(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_REFRESH_SECRET);
+    if (decoded.type !== 'refresh' || !decoded.jti || !decoded.fam) {
+      throw new TokenError('Invalid refresh token', 'invalid');
+    }
+    return decoded;
+  } catch (err) {
+    if (err instanceof TokenError) throw err;
+    if (err.name === 'TokenExpiredError') {
+      throw new TokenError('Refresh token has expired', 'expired');
+    }
+    throw new TokenError('Invalid refresh token', 'invalid');
+  }
+}
+
+// Exchange a refresh token for a new access/refresh pair. The presented token
+// is revoked; presenting an already-rotated token revokes the whole family.
+export async function rotateRefreshToken(token) {
+  const decoded = decodeRefreshToken(token);
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenId: decoded.jti },
+    include: {
+      user: { select: { id: true, email: true } }
+    }
+  });
+
+  if (!stored || stored.familyId !== decoded.fam) {
+    throw new TokenError('Invalid refresh token', 'invalid');
+  }
+
+  if (stored.isRevoked) {
+    // Token reuse: someone is replaying a rotated token, kill every descendant
+    await revokeTokenFamily(stored.familyId);
+    throw new TokenError('Refresh token reuse detected', 'reused');
+  }
+
+  if (stored.expiresAt < new Date()) {
+    throw new TokenError('Refresh token has expired', 'expired');
+  }
+
+  const next = await prisma.$transaction(async (tx) => {
+    // Guard against two concurrent refreshes with the same token
+    const { count } = await tx.refreshToken.updateMany({
+      where: { tokenId: stored.tokenId, isRevoked: false },
+      data: { isRevoked: true, revokedAt: new Date() }
+    });
+    if (count === 0) return null;
+
+    const created = await createRefreshToken(stored.userId, stored.familyId, tx);
+    await tx.refreshToken.update({
+      where: { tokenId: stored.tokenId },
+      data: { replacedBy: created.tokenId }
+    });
+    return created;
+  });
+
+  if (!next) {
+    await revokeTokenFamily(stored.familyId);
+    throw new TokenError('Refresh token reuse detected', 'reused');
+  }
+
+  return {
+    userId: stored.userId,
+    accessToken: signAccessToken(stored.user, stored.familyId),
+    refreshToken: next.refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresIn: REFRESH_TOKEN_TTL
+  };
+}
+
+export async function revokeTokenFamily(familyId) {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { familyId, isRevoked: false },
+    data: { isRevoked: true, revokedAt: new Date() }
+  });
+  return count;
+}
+
+// Revoke every session of a user, optionally keeping one family alive
+export async function revokeAllUserTokens(userId, { exceptFamilyId } = {}) {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: {
+      userId,
+      isRevoked: false,
+      ...(exceptFamilyId && { NOT: { familyId: exceptFamilyId } })
+    },
+    data: { isRevoked: true, revokedAt: new Date() }
+  });
+  return count;
+}
+
+// Verify an access token outside of Express (e.g. Socket.IO handshakes)
+export function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw new TokenError('Access token has expired', 'expired');
+    }
+    throw new TokenError('Invalid access token', 'invalid');
+  }
+
+  if (decoded.type !== 'access') {
+    throw new TokenError('Invalid token type', 'invalid');
+  }
+  return decoded;
+}
+
+// Resolve the family of a refresh token without rotating it (used by logout).
+// Expired tokens are still accepted so a stale client can log out cleanly.
+export function getRefreshTokenFamily(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_REFRESH_SECRET, { ignoreExpiration: true });
+    return decoded.type === 'refresh' ? { userId: decoded.userId, familyId: decoded.fam } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL };
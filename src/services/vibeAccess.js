@@ -0,0 +1,72 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Permission rules for vibe sessions, shared by the REST router and the
+// Socket.IO handlers so both transports enforce exactly the same checks.
+
+export const QUEUE_MODES = ['collaborative', 'host-only', 'democratic'];
+
+// Load a session together with the caller's active participant row (if any).
+// `includeInactive` also returns the row of someone who already left.
+export async function getVibeContext(sessionId, userId, { includeInactive = false } = {}) {
+  const session = await prisma.vibeSession.findUnique({
+    where: { id: sessionId },
+    include: {
+      participants: {
+        where: includeInactive ? { userId } : { userId, isActive: true }
+      }
+    }
+  });
+
+  if (!session) return { session: null, participant: null };
+
+  const { participants, ...rest } = session;
+  return { session: rest, participant: participants[0] || null };
+}
+
+export function isVibeMember(session, participant, userId) {
+  return session.creatorId === userId || !!(participant && participant.isActive);
+}
+
+// Creator, session admins, or any member when guest control is enabled
+export function canControlPlayback(session, participant, userId) {
+  return session.creatorId === userId ||
+    !!(session.allowGuestControl && participant) ||
+    !!(participant && participant.role === 'admin');
+}
+
+// Members may vote on the queue and vote to skip in democratic sessions
+export function canVote(session, participant, userId) {
+  return session.queueMode === 'democratic' && isVibeMember(session, participant, userId);
+}
+
+// Members may add to the queue unless the session is host-only
+export function canAddToQueue(session, participant, userId) {
+  if (!isVibeMember(session, participant, userId)) return false;
+  return session.queueMode !== 'host-only' || session.creatorId === userId;
+}
+
+// Creator can remove anything, members can remove songs they added
+export function canRemoveFromQueue(session, queueItem, userId) {
+  return session.creatorId === userId || queueItem.addedBy === userId;
+}
+
+// Creator and session admins can moderate chat
+export function canModerateChat(session, participant, userId) {
+  return session.creatorId === userId || !!(participant && participant.role === 'admin');
+}
+
+// Anyone who took part (even if they left) sees the recap, everyone for public sessions
+export function canViewRecap(session, participant, userId) {
+  return session.isPublic || session.creatorId === userId || !!participant;
+}
+
+// Only people who took part can turn the recap into a playlist
+export function canSaveRecap(session, participant, userId) {
+  return session.creatorId === userId || !!participant;
+}
+
+export function canEndSession(session, userId) {
+  return session.creatorId === userId;
+}
@@ -0,0 +1,202 @@
+import { PrismaClient } from '@prisma/client';
+import { getRateLimitStore } from './rateLimit.js';
+
+const prisma = new PrismaClient();
+
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_PAGE_SIZE = 100;
+
+// Per participant and session: at most `limit` events in `windowMs`
+const RATE_LIMITS = {
+  text: {
+    limit: parseInt(process.env.VIBE_CHAT_RATE_LIMIT || '5', 10),
+    windowMs: parseInt(process.env.VIBE_CHAT_RATE_WINDOW_MS || '10000', 10)
+  },
+  reaction: {
+    limit: parseInt(process.env.VIBE_REACTION_RATE_LIMIT || '15', 10),
+    windowMs: parseInt(process.env.VIBE_CHAT_RATE_WINDOW_MS || '10000', 10)
+  }
+};
+
+const messageAuthorSelect = {
+  user: {
+    select: { id: true, fullname: true, avatar: true }
+  }
+};
+
+export class ChatError extends Error {
+  constructor(message, status = 400, retryAfter) {
+    super(message);
+    this.name = 'ChatError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Counted in the shared rate limit store, so the limits hold across
+// instances. Like rateLimit, a failing store lets the message through.
+async function checkRateLimit(type, sessionId, userId) {
+  const { limit, windowMs } = RATE_LIMITS[type];
+
+  let counter;
+  try {
+    counter = await getRateLimitStore().increment(`vibe_${type}:${sessionId}:${userId}`, windowMs);
+  } catch (err) {
+    console.error(`Rate limit store failed for vibe ${type}:`, err.message);
+    return;
+  }
+
+  if (counter.count > limit) {
+    const retryAfter = Math.max(Math.ceil((counter.resetAt - Date.now()) / 1000), 1);
+    throw new ChatError('You are sending messages too quickly', 429, retryAfter);
+  }
+}
+
+function isEmoji(value) {
+  return typeof value === 'string' &&
+    value.length > 0 &&
+    value.length <= 16 &&
+    /^(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|\u200d|\ufe0f)+$/u.test(value) &&
+    /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(value);
+}
+
+// Shape sent to clients; deleted messages keep their slot but lose content
+export function serializeMessage(message) {
+  return {
+    id: message.id,
+    sessionId: message.sessionId,
+    type: message.type,
+    content: message.deletedAt ? null : message.content,
+    songId: message.songId,
+    targetMessageId: message.targetMessageId,
+    user: message.user,
+    createdAt: message.createdAt,
+    deleted: !!message.deletedAt
+  };
+}
+
+export async function sendMessage(io, session, userId, content) {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!text) {
+    throw new ChatError('Message cannot be empty');
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw new ChatError(`Message cannot be longer than ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  await checkRateLimit('text', session.id, userId);
+
+  const message = await prisma.vibeMessage.create({
+    data: {
+      sessionId: session.id,
+      userId,
+      type: 'text',
+      content: text
+    },
+    include: messageAuthorSelect
+  });
+
+  const payload = serializeMessage(message);
+  io?.to(`vibe-${session.id}`).emit('vibe:chat_message', payload);
+  return payload;
+}
+
+// React to a chat message, or to the current song when no message is given
+export async function sendReaction(io, session, userId, { emoji, messageId } = {}) {
+  if (!isEmoji(emoji)) {
+    throw new ChatError('Reaction must be an emoji');
+  }
+
+  let targetMessageId = null;
+  let songId = null;
+
+  if (messageId !== undefined && messageId !== null) {
+    const id = parseInt(messageId);
+    if (!Number.isInteger(id)) {
+      throw new ChatError('Invalid message id');
+    }
+
+    const target = await prisma.vibeMessage.findUnique({
+      where: { id },
+      select: { id: true, sessionId: true, type: true, deletedAt: true }
+    });
+    if (!target || target.sessionId !== session.id || target.deletedAt || target.type !== 'text') {
+      throw new ChatError('Message not found', 404);
+    }
+    targetMessageId = target.id;
+  } else {
+    if (!session.currentSongId) {
+      throw new ChatError('Nothing is playing to react to');
+    }
+    songId = session.currentSongId;
+  }
+
+  await checkRateLimit('reaction', session.id, userId);
+
+  const reaction = await prisma.vibeMessage.create({
+    data: {
+      sessionId: session.id,
+      userId,
+      type: 'reaction',
+      content: emoji,
+      songId,
+      targetMessageId
+    },
+    include: messageAuthorSelect
+  });
+
+  const payload = serializeMessage(reaction);
+  io?.to(`vibe-${session.id}`).emit('vibe:reaction', payload);
+  return payload;
+}
+
+// Newest first; pass the smallest id seen as `before` to page back
+export async function listMessages(sessionId, { before, limit = 50 } = {}) {
+  const take = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+  const cursor = parseInt(before);
+
+  const messages = await prisma.vibeMessage.findMany({
+    where: {
+      sessionId,
+      ...(Number.isInteger(cursor) && { id: { lt: cursor } })
+    },
+    include: messageAuthorSelect,
+    orderBy: { id: 'desc' },
+    take: take + 1
+  });
+
+  const hasMore = messages.length > take;
+  const page = messages.slice(0, take);
+
+  return {
+    messages: page.map(serializeMessage),
+    nextCursor: hasMore ? page[page.length - 1].id : null
+  };
+}
+
+// Authors can delete their own messages, moderators anyone's
+export async function deleteMessage(io, session, messageId, userId, { canModerate }) {
+  if (!Number.isInteger(messageId)) {
+    throw new ChatError('Invalid message id');
+  }
+
+  const message = await prisma.vibeMessage.findUnique({ where: { id: messageId } });
+  if (!message || message.sessionId !== session.id || message.deletedAt) {
+    throw new ChatError('Message not found', 404);
+  }
+
+  if (message.userId !== userId && !canModerate) {
+    throw new ChatError('Permission denied', 403);
+  }
+
+  await prisma.vibeMessage.update({
+    where: { id: messageId },
+    data: { deletedAt: new Date(), deletedBy: userId }
+  });
+
+  io?.to(`vibe-${session.id}`).emit('vibe:chat_deleted', {
+    sessionId: session.id,
+    messageId,
+    deletedBy: userId
+  });
+}
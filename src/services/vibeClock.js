@@ -0,0 +1,168 @@
+import { PrismaClient } from '@prisma/client';
+import { getSongDuration } from './saavnService.js';
+
+const prisma = new PrismaClient();
+
+const SYNC_INTERVAL_MS = parseInt(process.env.VIBE_SYNC_INTERVAL_MS || '5000', 10);
+
+// The server owns the playback clock of every vibe session. The stored
+// `currentPosition` (ms) is only valid at `lastUpdated`; while playing the
+// live position keeps advancing from there.
+export function getLivePosition(session, now = Date.now()) {
+  if (!session.isPlaying || !session.currentSongId) {
+    return session.currentPosition;
+  }
+  const elapsed = Math.max(0, now - new Date(session.lastUpdated).getTime());
+  return session.currentPosition + elapsed;
+}
+
+// Snapshot sent to clients; `serverTime` lets them compensate for latency
+export function buildPlaybackState(session, now = Date.now()) {
+  return {
+    sessionId: session.id,
+    songId: session.currentSongId,
+    songName: session.currentSongName,
+    artistName: session.currentArtistName,
+    imageUrl: session.currentImageUrl,
+    isPlaying: session.isPlaying,
+    position: getLivePosition(session, now),
+    serverTime: now
+  };
+}
+
+// Persist a play/pause/seek. When no position is given the live position is
+// frozen in, so pausing or resuming never jumps the clock.
+export async function updatePlayback(sessionId, { isPlaying, position } = {}) {
+  const session = await prisma.vibeSession.findUnique({ where: { id: sessionId } });
+  if (!session) return null;
+
+  const now = Date.now();
+  const updated = await prisma.vibeSession.update({
+    where: { id: sessionId },
+    data: {
+      ...(isPlaying !== undefined && { isPlaying }),
+      currentPosition: position !== undefined
+        ? Math.max(0, parseInt(position) || 0)
+        : getLivePosition(session, now),
+      lastUpdated: new Date(now)
+    }
+  });
+
+  return { session: updated, playback: buildPlaybackState(updated, now) };
+}
+
+// Close the play history entry of whatever the session was playing
+export async function endCurrentPlay(sessionId, at = new Date()) {
+  await prisma.vibeQueue.updateMany({
+    where: { sessionId, startedAt: { not: null }, endedAt: null },
+    data: { endedAt: at }
+  });
+}
+
+// Seconds from the client if it sent a usable value, else from Saavn
+async function resolveDuration(song) {
+  const duration = parseInt(song.duration);
+  if (duration > 0) return duration;
+  try {
+    return await getSongDuration(song.songId);
+  } catch (err) {
+    console.error(`Failed to look up duration of song ${song.songId}:`, err.message);
+    return null;
+  }
+}
+
+// Start a new song from the beginning. `queueId` links the song to the queue
+// row it came from so the scheduler knows its duration. Songs started from
+// outside the queue get a played row of their own (with the duration from
+// `song.duration` or Saavn), so the scheduler can still advance after them
+// and the session history (recap) stays complete; `startedBy` is recorded as
+// who added it.
+export async function startSong(sessionId, song, { isPlaying = true, position = 0, queueId = null, startedBy = null } = {}) {
+  const duration = !queueId && song.songId && song.songName && startedBy
+    ? await resolveDuration(song)
+    : null;
+
+  const now = Date.now();
+  const startedAt = new Date(now);
+
+  await endCurrentPlay(sessionId, startedAt);
+
+  if (queueId) {
+    await prisma.vibeQueue.update({
+      where: { id: queueId },
+      data: { startedAt, endedAt: null }
+    });
+  } else if (song.songId && song.songName && startedBy) {
+    const lastQueueItem = await prisma.vibeQueue.findFirst({
+      where: { sessionId },
+      orderBy: { position: 'desc' }
+    });
+    const played = await prisma.vibeQueue.create({
+      data: {
+        sessionId,
+        songId: song.songId,
+        songName: song.songName,
+        artistName: song.artistName || 'Unknown Artist',
+        imageUrl: song.imageUrl,
+        duration,
+        addedBy: startedBy,
+        position: (lastQueueItem?.position || 0) + 1,
+        played: true,
+        startedAt
+      }
+    });
+    queueId = played.id;
+  }
+
+  const updated = await prisma.vibeSession.update({
+    where: { id: sessionId },
+    data: {
+      currentSongId: song.songId,
+      currentSongName: song.songName,
+      currentArtistName: song.artistName,
+      currentImageUrl: song.imageUrl,
+      currentQueueId: queueId,
+      isPlaying,
+      currentPosition: position,
+      lastUpdated: startedAt
+    }
+  });
+
+  // Skip votes only ever apply to the song they were cast on
+  await prisma.vibeSkipVote.deleteMany({ where: { sessionId } });
+
+  return { session: updated, playback: buildPlaybackState(updated, now) };
+}
+
+export function broadcastSync(io, session) {
+  if (!io) return;
+  io.to(`vibe-${session.id}`).emit('vibe:sync', buildPlaybackState(session));
+}
+
+// Periodically push the authoritative clock to every occupied vibe room.
+// Each instance only serves its own sockets, so the emit stays local.
+export function startSyncHeartbeat(io, intervalMs = SYNC_INTERVAL_MS) {
+  const timer = setInterval(async () => {
+    const sessionIds = [];
+    for (const room of io.sockets.adapter.rooms.keys()) {
+      const match = /^vibe-(\d+)$/.exec(room);
+      if (match) sessionIds.push(parseInt(match[1]));
+    }
+    if (sessionIds.length === 0) return;
+
+    try {
+      const sessions = await prisma.vibeSession.findMany({
+        where: { id: { in: sessionIds }, isActive: true }
+      });
+      const now = Date.now();
+      for (const session of sessions) {
+        io.local.to(`vibe-${session.id}`).emit('vibe:sync', buildPlaybackState(session, now));
+      }
+    } catch (err) {
+      console.error('Vibe sync heartbeat error:', err);
+    }
+  }, intervalMs);
+
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,51 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export class QueueError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QueueError';
+    this.status = status;
+  }
+}
+
+function optionalString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// Append a song to the end of the session queue and tell the room about the
+// stored row. Shared by `POST /api/vibe/:id/queue` and `vibe:add_to_queue`;
+// callers check queue permissions first.
+export async function addToQueue(io, session, userId, song = {}) {
+  const songId = typeof song.songId === 'number' ? String(song.songId) : optionalString(song.songId);
+  const songName = optionalString(song.songName);
+  const artistName = optionalString(song.artistName);
+
+  if (!songId || !songName || !artistName) {
+    throw new QueueError('Song details are required');
+  }
+
+  const duration = parseInt(song.duration);
+
+  const lastQueueItem = await prisma.vibeQueue.findFirst({
+    where: { sessionId: session.id },
+    orderBy: { position: 'desc' }
+  });
+
+  const queueItem = await prisma.vibeQueue.create({
+    data: {
+      sessionId: session.id,
+      songId,
+      songName,
+      artistName,
+      imageUrl: optionalString(song.imageUrl),
+      duration: Number.isNaN(duration) ? null : duration,
+      addedBy: userId,
+      position: (lastQueueItem?.position || 0) + 1
+    }
+  });
+
+  io?.to(`vibe-${session.id}`).emit('vibe:queue_updated', { sessionId: session.id, queueItem });
+  return queueItem;
+}
@@ -0,0 +1,135 @@
+import { PrismaClient } from '@prisma/client';
+import { rankSequence } from './fractionalIndex.js';
+import { SONG_ORDER, withSongPositions } from './playlistOrder.js';
+
+const prisma = new PrismaClient();
+
+const userSelect = { id: true, fullname: true, avatar: true };
+
+// Everything that happened in a vibe session: the songs that were actually
+// played (queue rows with a start time), who joined and left, and how long
+// the session ran. Works for live sessions too, open entries end "now".
+export async function buildRecap(sessionId, now = new Date()) {
+  const session = await prisma.vibeSession.findUnique({
+    where: { id: sessionId },
+    include: {
+      creator: { select: userSelect },
+      participants: {
+        include: { user: { select: userSelect } },
+        orderBy: { joinedAt: 'asc' }
+      }
+    }
+  });
+  if (!session) return null;
+
+  const plays = await prisma.vibeQueue.findMany({
+    where: { sessionId, startedAt: { not: null } },
+    orderBy: { startedAt: 'asc' }
+  });
+
+  // VibeQueue.addedBy has no relation, so load the users in one go
+  const adderIds = [...new Set(plays.map((play) => play.addedBy))];
+  const adders = adderIds.length > 0
+    ? await prisma.user.findMany({ where: { id: { in: adderIds } }, select: userSelect })
+    : [];
+  const addersById = new Map(adders.map((user) => [user.id, user]));
+
+  const sessionEnd = session.endedAt || now;
+
+  const songs = plays.map((play) => {
+    const endedAt = play.endedAt || (session.isActive ? null : sessionEnd);
+    return {
+      queueItemId: play.id,
+      songId: play.songId,
+      songName: play.songName,
+      artistName: play.artistName,
+      imageUrl: play.imageUrl,
+      duration: play.duration,
+      isAutoplay: play.isAutoplay,
+      addedBy: addersById.get(play.addedBy) || { id: play.addedBy },
+      addedAt: play.addedAt,
+      startedAt: play.startedAt,
+      endedAt,
+      listenedMs: (endedAt || now).getTime() - play.startedAt.getTime()
+    };
+  });
+
+  const participants = session.participants.map((participant) => ({
+    user: participant.user,
+    role: participant.role,
+    joinedAt: participant.joinedAt,
+    leftAt: participant.leftAt,
+    isActive: participant.isActive
+  }));
+
+  return {
+    session: {
+      id: session.id,
+      name: session.name,
+      description: session.description,
+      creator: session.creator,
+      isActive: session.isActive,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      durationMs: sessionEnd.getTime() - session.startedAt.getTime()
+    },
+    songs,
+    participants,
+    stats: {
+      songCount: songs.length,
+      uniqueSongCount: new Set(songs.map((song) => song.songId)).size,
+      participantCount: participants.length
+    }
+  };
+}
+
+// Save the played songs of a session as a new playlist owned by `userId`.
+// A song played twice is only added once. Returns null when nothing was played.
+export async function saveRecapAsPlaylist(sessionId, userId, { name, description, isPublic = false } = {}) {
+  const session = await prisma.vibeSession.findUnique({
+    where: { id: sessionId },
+    select: { name: true }
+  });
+  if (!session) return null;
+
+  const plays = await prisma.vibeQueue.findMany({
+    where: { sessionId, startedAt: { not: null } },
+    orderBy: { startedAt: 'asc' }
+  });
+
+  const seen = new Set();
+  const songs = plays.filter((play) => {
+    if (seen.has(play.songId)) return false;
+    seen.add(play.songId);
+    return true;
+  });
+  if (songs.length === 0) return null;
+
+  const ranks = rankSequence(songs.length);
+
+  const playlist = await prisma.playlist.create({
+    data: {
+      name: name || `${session.name} (Vibe recap)`,
+      description: description ?? `Songs played in the vibe session "${session.name}"`,
+      isPublic,
+      userId,
+      imageUrl: songs[0]?.imageUrl || null,
+      songs: {
+        create: songs.map((song, index) => ({
+          songId: song.songId,
+          songName: song.songName,
+          artistName: song.artistName,
+          imageUrl: song.imageUrl,
+          duration: song.duration,
+          rank: ranks[index],
+          addedBy: song.addedBy
+        }))
+      }
+    },
+    include: {
+      songs: { orderBy: SONG_ORDER },
+      _count: { select: { songs: true } }
+    }
+  });
+  return { ...playlist, songs: withSongPositions(playlist.songs) };
+}
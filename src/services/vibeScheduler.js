@@ -0,0 +1,247 @@
+import { PrismaClient } from '@prisma/client';
+import { getLivePosition, startSong, endCurrentPlay, buildPlaybackState } from './vibeClock.js';
+import {
+  getSongSuggestions,
+  getTrendingSongs,
+  normalizeSaavnSong
+} from './saavnService.js';
+
+const prisma = new PrismaClient();
+
+const AUTOPLAY_BATCH_SIZE = parseInt(process.env.VIBE_AUTOPLAY_BATCH_SIZE || '5', 10);
+// Small grace so slow clients can finish the last buffered bit of a track
+const END_OF_TRACK_GRACE_MS = 750;
+
+// One pending "track ended" timer per active session
+const timers = new Map();
+let io = null;
+
+export function cancelSession(sessionId) {
+  const timer = timers.get(sessionId);
+  if (timer) {
+    clearTimeout(timer);
+    timers.delete(sessionId);
+  }
+}
+
+// (Re)arm the end-of-track timer from the stored playback state. Sessions that
+// are paused, inactive or playing a song of unknown length are not timed.
+export async function scheduleSession(sessionId) {
+  cancelSession(sessionId);
+
+  const session = await prisma.vibeSession.findUnique({ where: { id: sessionId } });
+  if (!session || !session.isActive || !session.isPlaying || !session.currentQueueId) {
+    return;
+  }
+
+  const current = await prisma.vibeQueue.findUnique({
+    where: { id: session.currentQueueId },
+    select: { duration: true }
+  });
+  if (!current?.duration) return;
+
+  const remaining = Math.max(0, current.duration * 1000 - getLivePosition(session));
+  const expectedQueueId = session.currentQueueId;
+
+  const timer = setTimeout(() => {
+    timers.delete(sessionId);
+    advanceQueue(sessionId, { expectedQueueId }).catch((err) => {
+      console.error(`Vibe scheduler error in session ${sessionId}:`, err);
+    });
+  }, remaining + END_OF_TRACK_GRACE_MS);
+
+  timer.unref?.();
+  timers.set(sessionId, timer);
+}
+
+// Fire-and-forget variant for request handlers
+export function reschedule(sessionId) {
+  scheduleSession(sessionId).catch((err) => {
+    console.error(`Failed to schedule vibe session ${sessionId}:`, err);
+  });
+}
+
+// Democratic sessions play the highest voted song first
+export function queueOrderBy(queueMode) {
+  return queueMode === 'democratic'
+    ? [{ score: 'desc' }, { position: 'asc' }]
+    : { position: 'asc' };
+}
+
+export async function getNextQueueItem(session) {
+  return prisma.vibeQueue.findFirst({
+    where: { sessionId: session.id, played: false },
+    orderBy: queueOrderBy(session.queueMode)
+  });
+}
+
+// Fill an empty queue with tracks related to what was playing last
+async function fillAutoplay(session) {
+  const queued = await prisma.vibeQueue.findMany({
+    where: { sessionId: session.id },
+    select: { songId: true }
+  });
+  const seen = new Set(queued.map((item) => item.songId));
+
+  let candidates = [];
+  try {
+    if (session.currentSongId) {
+      candidates = await getSongSuggestions(session.currentSongId, AUTOPLAY_BATCH_SIZE * 2);
+    }
+    if (candidates.length === 0) {
+      const results = await getTrendingSongs({
+        limit: AUTOPLAY_BATCH_SIZE * 2,
+        query: session.currentArtistName || undefined
+      });
+      candidates = Array.isArray(results) ? results : [];
+    }
+  } catch (err) {
+    console.error(`Autoplay lookup failed for session ${session.id}:`, err.message);
+    return 0;
+  }
+
+  const tracks = candidates
+    .map(normalizeSaavnSong)
+    .filter((track) => track && track.songName && !seen.has(track.songId))
+    .slice(0, AUTOPLAY_BATCH_SIZE);
+
+  if (tracks.length === 0) return 0;
+
+  const lastQueueItem = await prisma.vibeQueue.findFirst({
+    where: { sessionId: session.id },
+    orderBy: { position: 'desc' }
+  });
+  const startPosition = (lastQueueItem?.position || 0) + 1;
+
+  await prisma.vibeQueue.createMany({
+    data: tracks.map((track, index) => ({
+      sessionId: session.id,
+      songId: track.songId,
+      songName: track.songName,
+      artistName: track.artistName,
+      imageUrl: track.imageUrl,
+      duration: track.duration,
+      addedBy: session.creatorId,
+      isAutoplay: true,
+      position: startPosition + index
+    }))
+  });
+
+  io?.to(`vibe-${session.id}`).emit('vibe:queue_updated', { sessionId: session.id, autoplay: true });
+  return tracks.length;
+}
+
+// Move a session to its next unplayed queue item. `expectedQueueId` makes
+// timer-driven calls no-ops when someone already changed the song.
+export async function advanceQueue(sessionId, { expectedQueueId } = {}) {
+  const session = await prisma.vibeSession.findUnique({ where: { id: sessionId } });
+  if (!session || !session.isActive) return { session: null, song: null };
+
+  if (expectedQueueId !== undefined) {
+    if (session.currentQueueId !== expectedQueueId) {
+      return { session, song: null, stale: true };
+    }
+
+    // Every instance times the sessions it has seen; only one may advance
+    const { count } = await prisma.vibeSession.updateMany({
+      where: { id: sessionId, currentQueueId: expectedQueueId, lastUpdated: session.lastUpdated },
+      data: { lastUpdated: new Date() }
+    });
+    if (count === 0) return { session, song: null, stale: true };
+  }
+
+  cancelSession(sessionId);
+
+  let nextSong = await getNextQueueItem(session);
+  if (!nextSong && session.autoplay && await fillAutoplay(session) > 0) {
+    nextSong = await getNextQueueItem(session);
+  }
+
+  if (!nextSong) {
+    // Queue empty - stop playback
+    const stopped = await prisma.vibeSession.update({
+      where: { id: sessionId },
+      data: {
+        isPlaying: false,
+        currentSongId: null,
+        currentSongName: null,
+        currentArtistName: null,
+        currentImageUrl: null,
+        currentQueueId: null,
+        currentPosition: 0,
+        lastUpdated: new Date()
+      }
+    });
+    await prisma.vibeSkipVote.deleteMany({ where: { sessionId } });
+    await endCurrentPlay(sessionId);
+
+    io?.to(`vibe-${sessionId}`).emit('vibe:queue_finished', { sessionId });
+    io?.to(`vibe-${sessionId}`).emit('vibe:sync', buildPlaybackState(stopped));
+    return { session: stopped, song: null };
+  }
+
+  const { session: updated, playback } = await startSong(sessionId, nextSong, {
+    queueId: nextSong.id
+  });
+
+  // Mark as played
+  await prisma.vibeQueue.update({
+    where: { id: nextSong.id },
+    data: { played: true }
+  });
+
+  io?.to(`vibe-${sessionId}`).emit('vibe:song_changed', {
+    sessionId,
+    queueItemId: nextSong.id,
+    songId: nextSong.songId,
+    songName: nextSong.songName,
+    artistName: nextSong.artistName,
+    imageUrl: nextSong.imageUrl,
+    duration: nextSong.duration,
+    position: playback.position,
+    serverTime: playback.serverTime
+  });
+
+  await scheduleSession(sessionId);
+  return { session: updated, song: nextSong };
+}
+
+// Close a session for good: stop its timer, mark it and every participant
+// inactive and finish the play in progress
+export async function endVibeSession(sessionId) {
+  const endedAt = new Date();
+
+  await prisma.vibeSession.update({
+    where: { id: sessionId },
+    data: { isActive: false, endedAt }
+  });
+
+  await prisma.vibeParticipant.updateMany({
+    where: { sessionId },
+    data: { isActive: false, leftAt: endedAt }
+  });
+
+  cancelSession(sessionId);
+  await endCurrentPlay(sessionId, endedAt);
+}
+
+// Pick up sessions that were playing before a restart
+export async function initVibeScheduler(socketServer) {
+  io = socketServer;
+
+  try {
+    const sessions = await prisma.vibeSession.findMany({
+      where: { isActive: true, isPlaying: true, currentQueueId: { not: null } },
+      select: { id: true }
+    });
+    await Promise.all(sessions.map((session) => scheduleSession(session.id)));
+  } catch (err) {
+    console.error('Failed to restore vibe schedules:', err);
+  }
+}
+
+export function stopVibeScheduler() {
+  for (const sessionId of timers.keys()) {
+    cancelSession(sessionId);
+  }
+}
@@ -0,0 +1,163 @@
+import { PrismaClient } from '@prisma/client';
+import { advanceQueue } from './vibeScheduler.js';
+
+const prisma = new PrismaClient();
+
+// Voting for `democratic` vibe sessions: queue items are ordered by their
+// up/down vote score, and the current song is skipped once enough active
+// participants vote for it.
+
+export class VoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VoteError';
+    this.status = status;
+  }
+}
+
+function assertDemocratic(session) {
+  if (session.queueMode !== 'democratic') {
+    throw new VoteError('Voting is only available in democratic queue mode');
+  }
+}
+
+// Cast, change or withdraw (value 0) a vote on an unplayed queue item
+export async function castQueueVote(io, session, queueItemId, userId, value) {
+  assertDemocratic(session);
+
+  if (![1, -1, 0].includes(value)) {
+    throw new VoteError('Vote value must be 1, -1 or 0');
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    const queueItem = await tx.vibeQueue.findUnique({ where: { id: queueItemId } });
+    if (!queueItem || queueItem.sessionId !== session.id) {
+      throw new VoteError('Queue item not found', 404);
+    }
+    if (queueItem.played) {
+      throw new VoteError('Cannot vote on a song that was already played');
+    }
+
+    if (value === 0) {
+      await tx.vibeQueueVote.deleteMany({ where: { queueItemId, userId } });
+    } else {
+      // One vote per user and item; voting again replaces the previous vote
+      await tx.vibeQueueVote.upsert({
+        where: { queueItemId_userId: { queueItemId, userId } },
+        update: { value },
+        create: { queueItemId, userId, value }
+      });
+    }
+
+    const [upvotes, downvotes] = await Promise.all([
+      tx.vibeQueueVote.count({ where: { queueItemId, value: 1 } }),
+      tx.vibeQueueVote.count({ where: { queueItemId, value: -1 } })
+    ]);
+
+    const updated = await tx.vibeQueue.update({
+      where: { id: queueItemId },
+      data: { score: upvotes - downvotes }
+    });
+
+    return { queueItemId, score: updated.score, upvotes, downvotes };
+  });
+
+  io?.to(`vibe-${session.id}`).emit('vibe:queue_vote', {
+    sessionId: session.id,
+    userId,
+    value,
+    ...result
+  });
+
+  return result;
+}
+
+// Number of skip votes for the current song and how many are needed to pass
+export async function getSkipStatus(session) {
+  const [votes, activeParticipants] = await Promise.all([
+    session.currentSongId
+      ? prisma.vibeSkipVote.count({
+        where: { sessionId: session.id, songId: session.currentSongId }
+      })
+      : 0,
+    prisma.vibeParticipant.count({
+      where: { sessionId: session.id, isActive: true }
+    })
+  ]);
+
+  const needed = Math.max(1, Math.ceil(session.skipThreshold * activeParticipants));
+  return { songId: session.currentSongId, votes, needed, activeParticipants };
+}
+
+export async function castSkipVote(io, session, userId) {
+  assertDemocratic(session);
+
+  if (!session.currentSongId) {
+    throw new VoteError('Nothing is playing');
+  }
+
+  const existing = await prisma.vibeSkipVote.findUnique({
+    where: { sessionId_userId: { sessionId: session.id, userId } }
+  });
+
+  if (existing && existing.songId === session.currentSongId) {
+    throw new VoteError('Already voted to skip this song');
+  }
+
+  // A leftover vote from an earlier song is replaced
+  await prisma.vibeSkipVote.upsert({
+    where: { sessionId_userId: { sessionId: session.id, userId } },
+    update: { songId: session.currentSongId, createdAt: new Date() },
+    create: { sessionId: session.id, userId, songId: session.currentSongId }
+  });
+
+  const status = await getSkipStatus(session);
+  const passed = status.votes >= status.needed;
+
+  // Only the vote that actually moves past the song it was cast for skips:
+  // concurrent votes crossing the threshold, and late votes for a song that
+  // already changed, find the queue advanced and stay quiet.
+  if (passed) {
+    const advanced = await advanceQueue(session.id, { expectedQueueId: session.currentQueueId });
+    if (!advanced.session || advanced.stale) {
+      return { ...status, passed: false };
+    }
+  }
+
+  io?.to(`vibe-${session.id}`).emit('vibe:skip_vote', {
+    sessionId: session.id,
+    userId,
+    ...status,
+    passed
+  });
+
+  if (passed) {
+    io?.to(`vibe-${session.id}`).emit('vibe:skip_passed', {
+      sessionId: session.id,
+      songId: session.currentSongId
+    });
+  }
+
+  return { ...status, passed };
+}
+
+export async function withdrawSkipVote(io, session, userId) {
+  assertDemocratic(session);
+
+  const { count } = await prisma.vibeSkipVote.deleteMany({
+    where: { sessionId: session.id, userId }
+  });
+  if (count === 0) {
+    throw new VoteError('No skip vote to withdraw');
+  }
+
+  const status = await getSkipStatus(session);
+  io?.to(`vibe-${session.id}`).emit('vibe:skip_vote', {
+    sessionId: session.id,
+    userId,
+    ...status,
+    passed: false
+  });
+
+  return status;
+}
@@ -0,0 +1,148 @@
+import { PrismaClient } from '@prisma/client';
+import { sendEmail } from './email.js';
+import { unrestrictedUserWhere } from './moderation.js';
+import {
+  getTotalStats,
+  getTopArtists,
+  getTopSongs,
+  calculateListeningStreaks
+} from './listeningStats.js';
+
+const prisma = new PrismaClient();
+
+// Digest goes out weekly at DIGEST_HOUR (UTC) on DIGEST_DAY (0 = Sunday)
+const DIGEST_DAY = parseInt(process.env.DIGEST_DAY || '1', 10);
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR || '9', 10);
+const CHECK_INTERVAL_MS = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS || '3600000', 10);
+const BATCH_SIZE = 100;
+const TOP_ITEMS = 5;
+const STREAK_DAYS = 30;
+
+// A slot missed by more than this (server down, fresh deploy) is skipped
+// instead of mailing everyone at an odd time
+const SEND_WINDOW_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Most recent digest time at or before `now`
+export function latestDigestSlot(now = new Date()) {
+  const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), DIGEST_HOUR));
+  slot.setUTCDate(slot.getUTCDate() - ((slot.getUTCDay() - DIGEST_DAY + 7) % 7));
+  if (slot > now) slot.setUTCDate(slot.getUTCDate() - 7);
+  return slot;
+}
+
+export async function buildDigest(userId, since) {
+  const [totalStats, topArtists, topSongs, listeningStreaks] = await Promise.all([
+    getTotalStats(userId, since),
+    getTopArtists(userId, since, TOP_ITEMS),
+    getTopSongs(userId, since, TOP_ITEMS),
+    calculateListeningStreaks(userId, STREAK_DAYS)
+  ]);
+  return { totalStats, topArtists, topSongs, listeningStreaks };
+}
+
+// Claim the user's digest for this slot. The conditional update makes sure
+// only one instance mails a user even when several run the scheduler.
+async function claimDigest(userId, slot) {
+  const { count } = await prisma.userSettings.updateMany({
+    where: {
+      userId,
+      weeklyDigestEmail: true,
+      OR: [{ lastDigestAt: null }, { lastDigestAt: { lt: slot } }]
+    },
+    data: { lastDigestAt: slot }
+  });
+  return count === 1;
+}
+
+// Send the digest for `slot` to every opted-in user who listened during the
+// week before it and has not received it yet
+export async function sendWeeklyDigests(slot = latestDigestSlot()) {
+  const since = new Date(slot.getTime() - WEEK_MS);
+  const summary = { sent: 0, failed: 0 };
+  let lastId = 0;
+
+  for (;;) {
+    const users = await prisma.user.findMany({
+      where: {
+        id: { gt: lastId },
+        playHistory: { some: { playedAt: { gte: since, lt: slot } } },
+        // Restricted accounts and accounts waiting to be deleted get no mail
+        deletionScheduledAt: null,
+        AND: [
+          unrestrictedUserWhere(),
+          {
+            OR: [
+              { userSettings: null },
+              {
+                userSettings: {
+                  weeklyDigestEmail: true,
+                  OR: [{ lastDigestAt: null }, { lastDigestAt: { lt: slot } }]
+                }
+              }
+            ]
+          }
+        ]
+      },
+      select: { id: true, email: true, fullname: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE
+    });
+    if (users.length === 0) break;
+    lastId = users[users.length - 1].id;
+
+    // Claiming needs a settings row to update
+    await prisma.userSettings.createMany({
+      data: users.map((user) => ({ userId: user.id })),
+      skipDuplicates: true
+    });
+
+    for (const user of users) {
+      if (!(await claimDigest(user.id, slot))) continue;
+
+      try {
+        const digest = await buildDigest(user.id, since);
+        await sendEmail(user, 'weeklyDigest', digest, { kind: 'weekly_digest' });
+        summary.sent++;
+      } catch (err) {
+        summary.failed++;
+        console.error(`Failed to send weekly digest to user ${user.id}:`, err);
+        // Release the claim so the next check retries
+        await prisma.userSettings.updateMany({
+          where: { userId: user.id, lastDigestAt: slot },
+          data: { lastDigestAt: null }
+        });
+      }
+    }
+  }
+
+  return summary;
+}
+
+let checkTimer = null;
+
+async function checkDigest() {
+  const slot = latestDigestSlot();
+  if (Date.now() - slot.getTime() > SEND_WINDOW_MS) return;
+
+  try {
+    const summary = await sendWeeklyDigests(slot);
+    if (summary.sent > 0 || summary.failed > 0) {
+      console.log('Weekly digest:', summary);
+    }
+  } catch (err) {
+    console.error('Weekly digest failed:', err);
+  }
+}
+
+export function startDigestScheduler() {
+  if (checkTimer) return;
+  checkDigest();
+  checkTimer = setInterval(checkDigest, CHECK_INTERVAL_MS);
+  checkTimer.unref();
+}
+
+export function stopDigestScheduler() {
+  if (checkTimer) clearInterval(checkTimer);
+  checkTimer = null;
+}
@@ -0,0 +1,44 @@
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+
+// Socket.IO adapter that relays room broadcasts, room membership changes and
+// fetchSockets() between instances over the shared pub/sub driver. Packets
+// are sent as JSON, so binary payloads are not supported across instances.
+export function createPubSubAdapter(pubsub, { key = 'socket.io', ...opts } = {}) {
+  return class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, opts);
+      this.channel = `${key}#${nsp.name}#`;
+      this.responseChannel = `${this.channel}${this.uid}#`;
+      this.unsubscribers = [];
+
+      Promise.all([
+        pubsub.subscribe(this.channel, (message) => this.onMessage(message)),
+        pubsub.subscribe(this.responseChannel, (response) => this.onResponse(response))
+      ])
+        .then((unsubscribers) => {
+          this.unsubscribers = unsubscribers;
+          // Announce this instance once we can hear the others answer
+          this.init();
+        })
+        .catch((err) => {
+          console.error(`Socket.IO adapter failed to subscribe for ${nsp.name}:`, err);
+        });
+    }
+
+    doPublish(message) {
+      return pubsub.publish(this.channel, message).then(() => '');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      return pubsub.publish(`${this.channel}${requesterUid}#`, response);
+    }
+
+    close() {
+      super.close();
+      for (const unsubscribe of this.unsubscribers) {
+        unsubscribe().catch(() => {});
+      }
+      this.unsubscribers = [];
+    }
+  };
+}
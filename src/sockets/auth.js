@@ -0,0 +1,39 @@
+import { verifyAccessToken } from '../services/tokenService.js';
+import { findAccountRestriction, restrictionResponse } from '../services/moderation.js';
+
+// Socket.IO middleware: require the same access token that authenticateToken
+// accepts, sent either as `auth.token` or as a Bearer Authorization header.
+// Suspended and banned accounts are refused even with a valid token.
+export async function authenticateSocket(socket, next) {
+  const authHeader = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token ||
+    (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return next(new Error('Access token is required'));
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    return next(new Error(err.message));
+  }
+
+  try {
+    const restriction = await findAccountRestriction(decoded.userId);
+    if (restriction) {
+      const { error, ...data } = restrictionResponse(restriction);
+      const err = new Error(error);
+      err.data = data;
+      return next(err);
+    }
+  } catch (err) {
+    console.error('Failed to check account status for socket:', err);
+    return next(new Error('Internal server error'));
+  }
+
+  socket.data.user = decoded;
+  socket.data.userId = decoded.userId;
+  next();
+}
@@ -0,0 +1,315 @@
+import { PrismaClient } from '@prisma/client';
+import {
+  getVibeContext,
+  isVibeMember,
+  canControlPlayback,
+  canAddToQueue,
+  canModerateChat,
+  canEndSession
+} from '../services/vibeAccess.js';
+import { buildPlaybackState, updatePlayback, startSong } from '../services/vibeClock.js';
+import { reschedule } from '../services/vibeScheduler.js';
+import { ChatError, sendMessage, sendReaction, deleteMessage } from '../services/vibeChat.js';
+import { QueueError, addToQueue } from '../services/vibeQueue.js';
+
+const prisma = new PrismaClient();
+
+// Report a rejected event to the sender, through the ack callback when given
+function reject(socket, ack, event, error) {
+  if (typeof ack === 'function') {
+    return ack({ success: false, error });
+  }
+  socket.emit('vibe:error', { event, error });
+}
+
+function acknowledge(ack, payload = {}) {
+  if (typeof ack === 'function') {
+    ack({ success: true, ...payload });
+  }
+}
+
+function rejectChatError(socket, ack, event, err) {
+  if (err instanceof ChatError) {
+    if (typeof ack === 'function') {
+      return ack({ success: false, error: err.message, retryAfter: err.retryAfter });
+    }
+    return socket.emit('vibe:error', { event, error: err.message, retryAfter: err.retryAfter });
+  }
+  console.error(`Error handling ${event}:`, err);
+  reject(socket, ack, event, 'Internal server error');
+}
+
+// Resolve the session referenced by an event and run `check` against it.
+// Returns the context when allowed, or null after the sender was notified.
+async function authorize(socket, ack, event, data, check, deniedMessage) {
+  const sessionId = parseInt(data?.sessionId);
+  if (!Number.isInteger(sessionId)) {
+    reject(socket, ack, event, 'Session id is required');
+    return null;
+  }
+
+  try {
+    const userId = socket.data.userId;
+    const { session, participant } = await getVibeContext(sessionId, userId);
+
+    if (!session || !session.isActive) {
+      reject(socket, ack, event, 'Vibe session not found or inactive');
+      return null;
+    }
+
+    if (!check(session, participant, userId)) {
+      reject(socket, ack, event, deniedMessage);
+      return null;
+    }
+
+    return { sessionId, userId, session, participant };
+  } catch (err) {
+    console.error(`Error authorizing ${event}:`, err);
+    reject(socket, ack, event, 'Internal server error');
+    return null;
+  }
+}
+
+export function registerVibeHandlers(io, socket) {
+  // Join vibe session room
+  socket.on('vibe:join', async (data, ack) => {
+    const ctx = await authorize(socket, ack, 'vibe:join', data,
+      isVibeMember, 'Not a member of this session');
+    if (!ctx) return;
+
+    const { sessionId, userId } = ctx;
+    socket.join(`vibe-${sessionId}`);
+    console.log(`🎵 User ${userId} joined vibe session ${sessionId}`);
+
+    // Notify other participants
+    socket.to(`vibe-${sessionId}`).emit('vibe:participant_joined', {
+      userId,
+      sessionId
+    });
+
+    // Late joiners start from the server clock, not from another peer
+    const playback = buildPlaybackState(ctx.session);
+    socket.emit('vibe:sync', playback);
+
+    acknowledge(ack, { sessionId, playback });
+  });
+
+  // Clock ping: clients measure round-trip latency and server clock offset
+  socket.on('vibe:time_request', (data, ack) => {
+    const response = {
+      clientTime: data?.clientTime ?? null,
+      serverTime: Date.now()
+    };
+    if (typeof ack === 'function') return ack(response);
+    socket.emit('vibe:time_response', response);
+  });
+
+  // Leave vibe session room
+  socket.on('vibe:leave', (data, ack) => {
+    const sessionId = parseInt(data?.sessionId);
+    const userId = socket.data.userId;
+    const room = `vibe-${sessionId}`;
+
+    if (!socket.rooms.has(room)) {
+      return reject(socket, ack, 'vibe:leave', 'Not in this session');
+    }
+
+    socket.leave(room);
+    console.log(`🎵 User ${userId} left vibe session ${sessionId}`);
+
+    // Notify other participants
+    socket.to(room).emit('vibe:participant_left', {
+      userId,
+      sessionId
+    });
+
+    acknowledge(ack, { sessionId });
+  });
+
+  // Play specific song (host control)
+  socket.on('vibe:play_song', async (data, ack) => {
+    const ctx = await authorize(socket, ack, 'vibe:play_song', data,
+      canControlPlayback, 'No permission to control playback');
+    if (!ctx) return;
+
+    const { songId, songName, artistName, imageUrl, audioUrl, duration } = data;
+    console.log(`🎵 Playing song in session ${ctx.sessionId}: ${songName}`);
+
+    let playback;
+    try {
+      ({ playback } = await startSong(ctx.sessionId, { songId, songName, artistName, imageUrl, duration }, {
+        startedBy: ctx.userId
+      }));
+    } catch (err) {
+      console.error('Error starting vibe song:', err);
+      return reject(socket, ack, 'vibe:play_song', 'Internal server error');
+    }
+    reschedule(ctx.sessionId);
+
+    // Broadcast to all participants except sender
+    socket.to(`vibe-${ctx.sessionId}`).emit('vibe:song_changed', {
+      songId,
+      songName,
+      artistName,
+      imageUrl,
+      audioUrl,
+      position: playback.position,
+      serverTime: playback.serverTime
+    });
+
+    acknowledge(ack, { playback });
+  });
+
+  // Toggle play/pause
+  socket.on('vibe:toggle_play_pause', async (data, ack) => {
+    const ctx = await authorize(socket, ack, 'vibe:toggle_play_pause', data,
+      canControlPlayback, 'No permission to control playback');
+    if (!ctx) return;
+
+    const isPlaying = !!data.isPlaying;
+    console.log(`🎵 Session ${ctx.sessionId}: ${isPlaying ? 'Playing' : 'Paused'}`);
+
+    let playback;
+    try {
+      ({ playback } = await updatePlayback(ctx.sessionId, { isPlaying }));
+    } catch (err) {
+      console.error('Error updating vibe playback:', err);
+      return reject(socket, ack, 'vibe:toggle_play_pause', 'Internal server error');
+    }
+    reschedule(ctx.sessionId);
+
+    socket.to(`vibe-${ctx.sessionId}`).emit('vibe:play_pause', {
+      isPlaying,
+      position: playback.position,
+      serverTime: playback.serverTime
+    });
+
+    acknowledge(ack, { playback });
+  });
+
+  // Seek to position
+  socket.on('vibe:seek_to', async (data, ack) => {
+    const ctx = await authorize(socket, ack, 'vibe:seek_to', data,
+      canControlPlayback, 'No permission to control playback');
+    if (!ctx) return;
+
+    const position = parseInt(data.position);
+    if (!Number.isFinite(position) || position < 0) {
+      return reject(socket, ack, 'vibe:seek_to', 'Invalid position');
+    }
+    console.log(`🎵 Session ${ctx.sessionId}: Seek to ${position}ms`);
+
+    let playback;
+    try {
+      ({ playback } = await updatePlayback(ctx.sessionId, { position }));
+    } catch (err) {
+      console.error('Error updating vibe playback:', err);
+      return reject(socket, ack, 'vibe:seek_to', 'Internal server error');
+    }
+    reschedule(ctx.sessionId);
+
+    socket.to(`vibe-${ctx.sessionId}`).emit('vibe:seek', {
+      position: playback.position,
+      isPlaying: playback.isPlaying,
+      serverTime: playback.serverTime
+    });
+
+    acknowledge(ack, { playback });
+  });
+
+  // Add song to queue
+  socket.on('vibe:add_to_queue', async (data, ack) => {
+    const ctx = await authorize(socket, ack, 'vibe:add_to_queue', data,
+      canAddToQueue, 'No permission to add songs to queue');
+    if (!ctx) return;
+
+    try {
+      const queueItem = await addToQueue(io, ctx.session, ctx.userId, data);
+      acknowledge(ack, { queueItem });
+    } catch (err) {
+      if (err instanceof QueueError) {
+        return reject(socket, ack, 'vibe:add_to_queue', err.message);
+      }
+      console.error('Error adding to vibe queue:', err);
+      reject(socket, ack, 'vibe:add_to_queue', 'Internal server error');
+    }
+  });
+
+  // Chat message
+  socket.on('vibe:chat_send', async (data, ack) => {
+    const ctx = await authorize(socket, ack, 'vibe:chat_send', data,
+      isVibeMember, 'Not a member of this session');
+    if (!ctx) return;
+
+    try {
+      const message = await sendMessage(io, ctx.session, ctx.userId, data.content);
+      acknowledge(ack, { message });
+    } catch (err) {
+      rejectChatError(socket, ack, 'vibe:chat_send', err);
+    }
+  });
+
+  // Emoji reaction to a message (messageId) or to the current song
+  socket.on('vibe:react', async (data, ack) => {
+    const ctx = await authorize(socket, ack, 'vibe:react', data,
+      isVibeMember, 'Not a member of this session');
+    if (!ctx) return;
+
+    try {
+      const reaction = await sendReaction(io, ctx.session, ctx.userId, {
+        emoji: data.emoji,
+        messageId: data.messageId
+      });
+      acknowledge(ack, { reaction });
+    } catch (err) {
+      rejectChatError(socket, ack, 'vibe:react', err);
+    }
+  });
+
+  // Delete a chat message (author, creator or session admin)
+  socket.on('vibe:chat_delete', async (data, ack) => {
+    const ctx = await authorize(socket, ack, 'vibe:chat_delete', data,
+      isVibeMember, 'Not a member of this session');
+    if (!ctx) return;
+
+    try {
+      await deleteMessage(io, ctx.session, parseInt(data.messageId), ctx.userId, {
+        canModerate: canModerateChat(ctx.session, ctx.participant, ctx.userId)
+      });
+      acknowledge(ack);
+    } catch (err) {
+      rejectChatError(socket, ack, 'vibe:chat_delete', err);
+    }
+  });
+
+  // Session ended (host ended)
+  socket.on('vibe:end_session', async (data, ack) => {
+    const sessionId = parseInt(data?.sessionId);
+    if (!Number.isInteger(sessionId)) {
+      return reject(socket, ack, 'vibe:end_session', 'Session id is required');
+    }
+
+    try {
+      // The session is usually already inactive here (REST /end runs first),
+      // so only ownership is checked
+      const session = await prisma.vibeSession.findUnique({
+        where: { id: sessionId },
+        select: { creatorId: true }
+      });
+
+      if (!session || !canEndSession(session, socket.data.userId)) {
+        return reject(socket, ack, 'vibe:end_session', 'Only creator can end the session');
+      }
+    } catch (err) {
+      console.error('Error authorizing vibe:end_session:', err);
+      return reject(socket, ack, 'vibe:end_session', 'Internal server error');
+    }
+
+    console.log(`🎵 Session ${sessionId} ended`);
+
+    // Notify all participants
+    io.to(`vibe-${sessionId}`).emit('vibe:session_ended');
+
+    acknowledge(ack);
+  });
+}